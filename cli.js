@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+// Remaps the V8 stack traces in log files, or stdin, using the source maps of
+// the build which produced the logged code.  The code need not have run on
+// this machine; only its build output, or just the source maps, must exist.
+var fs = require('fs');
+var path = require('path');
+var readline = require('readline');
+var sms = require('./source-map-support');
+
+var usage = [
+  'Usage: source-map-support [options] [file ...]',
+  '',
+  'Remaps the stack traces in each file, or in stdin, and writes the result to stdout.',
+  'Stack traces in string values of JSON log lines are remapped too.',
+  '',
+  'Options:',
+  '  --maps-dir <dir>        Look in <dir> for <name>.map, or the generated file <name>,',
+  '                          for each generated file <name> in a stack trace',
+  '  --rewrite <from>=<to>   Replace the prefix <from> of generated paths and URLs',
+  '                          with <to>, where the build output exists locally',
+  '  -h, --help              Show this help',
+].join('\n');
+
+function parseArgs(argv) {
+  var options = { mapsDirs: [], rewrites: [], files: [], help: false };
+  for (var i = 0; i < argv.length; i++) {
+    var arg = argv[i];
+    var value = undefined;
+    var match = /^(--[^=]+)=(.*)$/.exec(arg);
+    if (match) {
+      arg = match[1];
+      value = match[2];
+    }
+    var takesValue = arg === '--maps-dir' || arg === '--rewrite';
+    if (takesValue && value === undefined) {
+      value = argv[++i];
+      if (value === undefined) throw new Error(arg + ' requires a value');
+    }
+    if (arg === '--maps-dir') {
+      options.mapsDirs.push(path.resolve(value));
+    } else if (arg === '--rewrite') {
+      options.rewrites.push(parseRewrite(value));
+    } else if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg !== '-' && arg.charAt(0) === '-') {
+      throw new Error('Unknown option ' + arg);
+    } else {
+      options.files.push(arg);
+    }
+  }
+  return options;
+}
+
+function parseRewrite(value) {
+  var separator = value.indexOf('=');
+  if (separator <= 0) throw new Error('--rewrite expects <from>=<to>, got ' + value);
+  var from = value.slice(0, separator);
+  var to = value.slice(separator + 1);
+  // Local paths are resolved against the working directory, keeping any
+  // trailing separator so that the rest of the path is appended correctly
+  if (!/^[\w+.-]+:\/\//.test(to)) {
+    to = path.resolve(to) + (/[\\/]$/.test(to) ? path.sep : '');
+  }
+  return { from: from, to: to };
+}
+
+// Retrieve the source map for a generated path or URL from a stack trace, by
+// its name in the maps directories.  Sources arrive already rewritten by the
+// pathRewrites option.  Frames which cannot be mapped keep their original
+// location.
+function createRetrieveSourceMap(options) {
+  // The generated files found are looked up with sms.retrieveSourceMap(),
+  // which calls this handler again; those still being looked up are left to
+  // the built-in handlers, so that files of the same name in several
+  // directories do not send the lookups round in circles
+  var resolving = Object.create(null);
+  return function retrieveSourceMap(source) {
+    if (resolving[source]) return null;
+    var name = source.replace(/[?#].*$/, '').split(/[\\/]/).pop();
+    for (var i = 0; name && i < options.mapsDirs.length; i++) {
+      var mapPath = path.join(options.mapsDirs[i], name + '.map');
+      if (fs.existsSync(mapPath)) {
+        return { url: mapPath, map: fs.readFileSync(mapPath, 'utf8') };
+      }
+      var generatedPath = path.join(options.mapsDirs[i], name);
+      if (generatedPath !== source && fs.existsSync(generatedPath)) {
+        resolving[source] = true;
+        try {
+          return sms.retrieveSourceMap(generatedPath);
+        } finally {
+          delete resolving[source];
+        }
+      }
+    }
+    // The built-in handlers read the sourceMappingURL of the file
+    return null;
+  };
+}
+
+function parseJsonLogLine(line) {
+  var trimmed = line.trim();
+  if (trimmed.charAt(0) !== '{' && trimmed.charAt(0) !== '[') return undefined;
+  try {
+    return JSON.parse(trimmed);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+// Frames which cannot be mapped, even because of an invalid source map, are
+// written unchanged
+function remapStack(stack) {
+  try {
+    return sms.remapStack(stack);
+  } catch (e) {
+    return stack;
+  }
+}
+
+function remapJsonValue(value) {
+  if (typeof value === 'string') {
+    return /\n\s*at /.test(value) ? remapStack(value) : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(remapJsonValue);
+  }
+  if (value !== null && typeof value === 'object') {
+    var result = {};
+    Object.keys(value).forEach(function(key) {
+      result[key] = remapJsonValue(value[key]);
+    });
+    return result;
+  }
+  return value;
+}
+
+// Stack traces are remapped a whole stack at a time, so that function names
+// can be taken from callers' mapped positions.  A stack ends at the first
+// line which is not a frame.
+function remapLog(input, output) {
+  return new Promise(function(resolve, reject) {
+    var pending = [];
+    function flush() {
+      if (pending.length) {
+        output.write(remapStack(pending.join('\n')) + '\n');
+        pending = [];
+      }
+    }
+    input.on('error', reject);
+    var lines = readline.createInterface({ input: input, crlfDelay: Infinity });
+    // Errors of the input are emitted again on the interface since node 16
+    lines.on('error', reject);
+    lines.on('line', function(line) {
+      var json = parseJsonLogLine(line);
+      if (json !== undefined) {
+        flush();
+        var remapped = JSON.stringify(remapJsonValue(json));
+        output.write((remapped === JSON.stringify(json) ? line : remapped) + '\n');
+        return;
+      }
+      if (!/^\s*at /.test(line)) flush();
+      pending.push(line);
+    });
+    lines.on('close', function() {
+      flush();
+      resolve();
+    });
+  });
+}
+
+async function main(argv) {
+  var options;
+  try {
+    options = parseArgs(argv);
+  } catch (e) {
+    process.stderr.write('source-map-support: ' + e.message + '\n\n' + usage + '\n');
+    process.exitCode = 2;
+    return;
+  }
+  if (options.help) {
+    process.stdout.write(usage + '\n');
+    return;
+  }
+
+  sms.install({
+    environment: 'node',
+    handleUncaughtExceptions: false,
+    pathRewrites: { generated: options.rewrites },
+    retrieveSourceMap: createRetrieveSourceMap(options)
+  });
+
+  var files = options.files.length ? options.files : ['-'];
+  for (var i = 0; i < files.length; i++) {
+    var input = files[i] === '-' ? process.stdin : fs.createReadStream(files[i]);
+    try {
+      await remapLog(input, process.stdout);
+    } catch (e) {
+      process.stderr.write('source-map-support: ' + e.message + '\n');
+      process.exitCode = 1;
+    }
+  }
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,21 @@
+// ESM loader hooks, registered by install({hookEsmLoader: true}).
+// Captures the final source of every module, after transformation by any
+// loader registered before this one, and sends it to the main thread so that
+// source-map-support can find inline source maps that are not on disk.
+
+/** @type {import('worker_threads').MessagePort | undefined} */
+let port;
+const decoder = new TextDecoder();
+
+export function initialize(data) {
+  port = data && data.port;
+}
+
+export async function load(url, context, nextLoad) {
+  const result = await nextLoad(url, context);
+  if (port && result.source != null && (result.format === 'module' || result.format === 'commonjs')) {
+    const source = typeof result.source === 'string' ? result.source : decoder.decode(result.source);
+    port.postMessage({ url, source });
+  }
+  return result;
+}
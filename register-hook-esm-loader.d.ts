@@ -0,0 +1,7 @@
+// tslint:disable:no-useless-files
+
+// For following usage:
+//    node --import @cspotcode/source-map-support/register-hook-esm-loader.js
+// Instead of:
+//    import sourceMapSupport from '@cspotcode/source-map-support'
+//    sourceMapSupport.install({hookEsmLoader: true})
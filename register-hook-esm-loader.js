@@ -0,0 +1,3 @@
+require('./').install({
+    hookEsmLoader: true
+});
@@ -27,13 +27,156 @@ export interface UrlAndMap {
     map: string | RawSourceMap;
 }
 
+export interface CacheLimit {
+    /** Maximum number of entries.  Default: unlimited */
+    maxEntries?: number | undefined;
+    /** Approximate maximum size of all entries, counting one byte per character.  Default: unlimited */
+    maxBytes?: number | undefined;
+}
+
+export interface PathRewrite {
+    /** Prefix to replace, or a pattern replaced as by `String.prototype.replace()`. */
+    from: string | RegExp;
+    /** Replacement, which may refer to the pattern's groups as `$1`. */
+    to: string;
+}
+
+export interface CacheStat {
+    entries: number;
+    bytes: number;
+    hits: number;
+    misses: number;
+    evictions: number;
+}
+
+export interface CacheStats {
+    /** Contents of generated files, and of original sources copied from `sourcesContent` */
+    fileContents: CacheStat;
+    /** Parsed source maps, including negative entries for files without one */
+    sourceMaps: CacheStat;
+}
+
 /**
  * Options to install().
  */
 export interface Options {
     handleUncaughtExceptions?: boolean | undefined;
+    /**
+     * Whether the handler also prints the promise rejections which node raises as uncaught exceptions because they
+     * terminate the process under its `--unhandled-rejections` mode, independently of `handleUncaughtExceptions`.
+     * Defaults to the value of `handleUncaughtExceptions`.
+     */
+    handleUnhandledRejections?: boolean | undefined;
     hookRequire?: boolean | undefined;
+    /**
+     * Register ESM loader hooks which capture the final source of every module, like `hookRequire` does for CommonJS.
+     * Requires `module.register()`, i.e. node >=18.19 or >=20.6.
+     * Only sees transformations made by loaders registered *before* it.
+     */
+    hookEsmLoader?: boolean | undefined;
+    /**
+     * Wrap `WebAssembly.Module`, `compile`, `instantiate` and their streaming variants to find the source maps of
+     * wasm modules, via their `sourceMappingURL` or `external_debug_info` custom sections.
+     */
+    hookWebAssembly?: boolean | undefined;
+    /**
+     * Preload source map support in the worker threads started afterwards, through the register entry point matching
+     * `hookRequire` or `hookEsmLoader`, and remap the stacks of the errors they emit.
+     */
+    hookWorkers?: boolean | undefined;
+    /**
+     * Preload source map support in child processes, by appending the register entry point matching `hookRequire` or
+     * `hookEsmLoader` to `NODE_OPTIONS` unless it is already there.  Implies `hookWorkers`.  Undone by uninstall().
+     */
+    hookChildProcesses?: boolean | undefined;
+    /**
+     * Start loading and parsing the source map of every CommonJS module asynchronously as it is compiled,
+     * so that stack traces can be mapped without blocking on IO.
+     */
+    prefetchOnLoad?: boolean | undefined;
     emptyCacheBetweenOperations?: boolean | undefined;
+    /**
+     * Bound the caches, evicting least recently used entries when exceeded.
+     * Limits omitted from a subsequent install() call are reset to unlimited.
+     */
+    cacheLimits?: {
+        fileContents?: CacheLimit | undefined;
+        sourceMaps?: CacheLimit | undefined;
+    } | undefined;
+    /**
+     * Set false to discard the `sourcesContent` of source maps instead of caching it.
+     * Saves memory, but getErrorSource() can only show original sources which exist on disk.
+     */
+    retainSourcesContent?: boolean | undefined;
+    /**
+     * Where to look for the source map of a generated file which has no `sourceMappingURL` comment, in order:
+     * templates resolved against the generated file, in which `[base]` is its file name and `[name]` that name
+     * without its extension, or rules rewriting its path or URL.  `true` looks for `[base].map`.
+     * A candidate is only used if its `file` field names the generated file.
+     */
+    sidecarSourceMaps?: boolean | Array<string | PathRewrite> | undefined;
+    /**
+     * Directories holding source maps, found by the debug ID of a generated file which has a `//# debugId=<uuid>`
+     * comment matching the map's `debugId` field.  Used when a generated file has no source map of its own.
+     * Each directory is indexed when first searched, and again for new files when a debug ID is not found.
+     */
+    debugIdDirs?: string[] | false | undefined;
+    /**
+     * Ordered rules rewriting the paths and URLs of generated files before their source maps are retrieved, and of
+     * original sources as resolved from source maps, before they are printed or read.  The first matching rule applies.
+     * File URLs are matched as paths too.  Applies to source maps read after install().
+     */
+    pathRewrites?: { generated?: PathRewrite[] | undefined; sources?: PathRewrite[] | undefined } | false | undefined;
+    /**
+     * Keep mapping positions through the source maps of original sources which have their own, such as the output of
+     * an earlier build stage, until reaching a source without one.  Stops at cycles, and after `maxDepth` source maps
+     * (default 10) in all.  Names come from the deepest source map which has one.
+     */
+    transitiveSourceMaps?: boolean | { maxDepth?: number | undefined } | undefined;
+    /**
+     * Before reusing a cached file or source map read from disk, check whether the file's mtime or size changed,
+     * and if so, read it again.  Useful with watch-mode builds which overwrite files in place.
+     */
+    revalidateCache?: boolean | undefined;
+    /**
+     * Directory in which to store parsed source maps, so that later processes can skip parsing them again.
+     * Created if missing.  Entries are keyed by the generated file's path and contents.
+     */
+    persistentCacheDir?: string | false | undefined;
+    /**
+     * Whenever an entry is written to `persistentCacheDir`, entries older than `maxAge` milliseconds (default 7 days)
+     * are removed, then the least recently used ones beyond `maxBytes` (default 100 MB).
+     */
+    persistentCacheLimits?: { maxBytes?: number | undefined; maxAge?: number | undefined } | undefined;
+    /**
+     * How to print stack frames whose original source is listed in the source map's `ignoreList` (or `x_google_ignoreList`):
+     * print them as usual (`'show'`, the default), leave them out (`'drop'`), replace each run of them with a
+     * `... N ignore-listed frames` line (`'collapse'`), or append ` [ignore-listed]` to them (`'tag'`).
+     * getMappedFrames() and mapSourcePosition() report them regardless.
+     */
+    ignoreListedFrames?: 'show' | 'drop' | 'collapse' | 'tag' | undefined;
+    /**
+     * Leave frames out of formatted stack traces, including the one printed for uncaught exceptions.
+     * A `... N hidden frames` line is appended to stacks from which frames were left out.
+     */
+    hideFrames?: HideFramesOptions | false | undefined;
+    /**
+     * In browsers, report the errors and promise rejections which reach the window uncaught, with mapped stacks.
+     * `true` logs them with `console.error()`.  The browser still reports them itself.
+     */
+    reportWindowErrors?: boolean | ((stack: string, error: Error) => void) | undefined;
+    /**
+     * How to work alongside node's own source map support, when enabled by `--enable-source-maps` or `process.setSourceMapsEnabled()`:
+     * reuse the source maps node parsed through `module.findSourceMap()` (`'reuse'`, the default), leave stack traces
+     * and uncaught exceptions to node by installing no hooks (`'defer'`), or always read source maps ourselves (`'ignore'`).
+     */
+    nodeSourceMaps?: 'reuse' | 'defer' | 'ignore' | undefined;
+    /**
+     * Record the steps taken to map positions of each generated file, for getDiagnostics().
+     * A function also receives each event as it is recorded.
+     * Defaults to true if the `SOURCE_MAP_SUPPORT_DEBUG` environment variable is set to anything but `0` or `false`.
+     */
+    debug?: boolean | ((event: DiagnosticEvent) => void) | undefined;
     environment?: 'auto' | 'browser' | 'node' | undefined;
     overrideRetrieveFile?: boolean | undefined;
     overrideRetrieveSourceMap?: boolean | undefined;
@@ -52,16 +195,202 @@ export interface Options {
     onConflictingLibraryRedirect?: (request: string, parent: any, isMain: boolean, options: any, redirectedRequest: string) => void;
 }
 
+export interface HideFramesOptions {
+    /** Hide frames in node's own modules, such as `node:internal/modules/cjs/loader`. */
+    nodeInternals?: boolean;
+    /** Hide frames whose original or generated source is inside a `node_modules` directory. */
+    nodeModules?: boolean;
+    /**
+     * Hide the helpers emitted by TypeScript and Babel for downleveled async functions, such as `__awaiter` and `step`,
+     * and native `Generator` and `new Promise` frames.  Frames mapped to original sources are kept, whatever their names.
+     */
+    asyncWrappers?: boolean;
+    /** Hide frames for which any predicate returns true. */
+    predicates?: Array<(frame: MappedFrame) => boolean>;
+}
+
 export interface Position {
     source: string;
     line: number;
     column: number;
 }
 
+export interface MappedPosition extends Position {
+    name?: string | null;
+    /** True if the source map lists the original source in its `ignoreList` (or `x_google_ignoreList`). */
+    ignoreListed?: boolean;
+}
+
+/**
+ * Plain-object description of one stack frame, as returned by getMappedFrames().
+ * Lines and columns are 1-based, matching the formatted stack.
+ */
+export interface MappedFrame {
+    /** Original source if the frame was mapped, otherwise the generated source. */
+    source: string | null;
+    line: number | null;
+    column: number | null;
+    /** Original identifier name recorded by the source map at this position, if any. */
+    name: string | null;
+    generatedSource: string | null;
+    generatedLine: number | null;
+    generatedColumn: number | null;
+    /** True if a source map was found and it had a mapping for this position. */
+    mapped: boolean;
+    /** True if the source map lists the original source in its `ignoreList` (or `x_google_ignoreList`). */
+    ignoreListed: boolean;
+    /** Function name as printed in the stack, which may come from the source map. */
+    functionName: string | null;
+    typeName: string | null;
+    methodName: string | null;
+    evalOrigin: string | null;
+    isAsync: boolean;
+    isEval: boolean;
+    isNative: boolean;
+    isConstructor: boolean;
+    isToplevel: boolean;
+}
+
 export function wrapCallSite(frame: any /* StackFrame */): any /* StackFrame */;
-export function getErrorSource(error: Error): string | null;
-export function mapSourcePosition(position: Position): Position;
+export interface ErrorSourceOptions {
+    /** Index into getMappedFrames(error) of the frame to show.  Defaults to the first frame printed in the stack. */
+    frame?: number;
+    /** Lines of context to show before the frame's line. */
+    linesAbove?: number;
+    /** Lines of context to show after the frame's line. */
+    linesBelow?: number;
+    /** Prefix lines with their line numbers, marking the frame's line with `>`. */
+    gutter?: boolean;
+    /** Extend the caret with `~` up to the next mapping on the same original line. */
+    underline?: boolean;
+}
+
+/**
+ * One step taken to map a position of a generated file:
+ * - `readGenerated`: whether the generated file could be read, to look for its sourceMappingURL.
+ * - `sourceMappingURL`: the URL found, `data:` for an inline map, or null.
+ * - `readSourceMap`: whether the map could be read from `url`.
+ * - `retrieveSourceMap`: whether a `retrieveSourceMap` handler, built-in or `custom`, returned a map.
+ * - `cached`, `registered`: the map was cached or registered with registerSourceMap().
+ * - `error`: an error thrown while retrieving or parsing the map.
+ * - `lookup`: the original position found for `line` and `column`, or null if the map has no segment there.
+ */
+export interface DiagnosticEvent {
+    /** File URL, or other URL, of the generated file. */
+    source: string;
+    type: 'readGenerated' | 'sourceMappingURL' | 'readSourceMap' | 'retrieveSourceMap' | 'cached' | 'registered' | 'persisted' | 'error' | 'lookup' | 'cycle' | 'debugId' | 'sidecar';
+    found?: boolean;
+    url?: string | null;
+    handler?: string;
+    /** Debug ID of the generated file, for 'debugId' events. */
+    id?: string;
+    custom?: boolean;
+    lineOffset?: number;
+    message?: string;
+    line?: number;
+    column?: number;
+    original?: { source: string; line: number; column: number; name: string | null } | null;
+}
+
+export interface Explanation {
+    source: string;
+    line: number;
+    column: number;
+    /** Original position, with a 1-based column, or null if the position was not mapped. */
+    original: { source: string; line: number; column: number; name: string | null } | null;
+    events: DiagnosticEvent[];
+}
+
+export interface HookSummary {
+    /** The copy of this library which installed the hook. */
+    owner: { version: string; path: string } | null;
+    enabled: boolean;
+    /** True if other code has since replaced the hook, possibly wrapping it. */
+    replaced: boolean;
+}
+
+export interface Diagnostics {
+    /** The copy of this library which returned the diagnostics. */
+    instance: { version: string; path: string };
+    debug: boolean;
+    /** Whether node's own source map support is enabled, and the nodeSourceMaps option. */
+    nodeSourceMaps: { enabled: boolean; mode: 'reuse' | 'defer' | 'ignore' };
+    hooks: Record<'prepareStackTrace' | 'processEmit' | 'resolveFilename' | 'webAssembly' | 'windowErrors' | 'workers' | 'nodeOptions', HookSummary | null>;
+    /** The most recent events recorded in debug mode, by generated file. */
+    files: Record<string, DiagnosticEvent[]>;
+}
+
+export interface RegisterSourceMapOptions {
+    /** The generated code the map describes, for getErrorSource().  Its line count sets the range of lines mapped. */
+    contents?: string | undefined;
+    /** Number of lines of the generated file before the code the map describes.  Defaults to 0. */
+    lineOffset?: number | undefined;
+}
+
+/**
+ * Original source code at the position of one of error's frames, with a caret under the position.
+ */
+export function getErrorSource(error: Error, options?: ErrorSourceOptions): string | null;
+/**
+ * Structured equivalent of `error.stack`.
+ * Returns null if the error's stack was not prepared by an installed hook.
+ */
+export function getMappedFrames(error: Error): MappedFrame[] | null;
+/**
+ * Remap the locations in stack text, such as a stack captured before install() or read from a log.
+ * Frames may be formatted by V8 (`    at name (location)`), or by SpiderMonkey and JavaScriptCore (`name@location`).
+ * Lines which are not stack frames, or whose location cannot be parsed, are returned unchanged.
+ */
+export function remapStack(stack: string): string;
+/**
+ * `error.stack` with mapped locations, in engines with or without `Error.prepareStackTrace`.
+ * Returns null if the error has no stack.
+ */
+export function getMappedStack(error: Error): string | null;
+/**
+ * Remap in place the stack of an error received from a worker thread, and those of its `cause` and aggregated `errors`.
+ * Returns the error.
+ */
+export function remapWorkerError<T>(error: T): T;
+export function mapSourcePosition(position: Position): MappedPosition;
+/**
+ * Map a range of lines of a generated file, which need not exist on disk, with a source map held in memory.
+ * The range starts after `lineOffset` lines and spans the lines of `contents`, or else those of the map.
+ * Replaces registrations of the file whose ranges overlap.  Registrations are kept when caches are emptied.
+ */
+export function registerSourceMap(generatedPathOrUrl: string, map: string | RawSourceMap, options?: RegisterSourceMapOptions): void;
+/**
+ * Remove the source maps registered for a generated file, or only the one registered with `options.lineOffset`.
+ * Returns whether any was removed.
+ */
+export function unregisterSourceMap(generatedPathOrUrl: string, options?: { lineOffset?: number | undefined }): boolean;
+/**
+ * Map one position, with a 1-based line and column as in stack traces, and report each step taken.
+ * The generated file and its source map are read again rather than taken from the caches.
+ */
+export function explain(pathOrUrl: string, line: number, column: number): Explanation;
+/**
+ * Which copies of this library installed the hooks, and the events recorded in debug mode.
+ */
+export function getDiagnostics(): Diagnostics;
 export function retrieveSourceMap(source: string): UrlAndMap | null;
+/**
+ * Asynchronously load and parse the source maps of generated files, so that later stack traces are mapped
+ * without blocking on IO.  Never rejects; failures are retried synchronously when a stack trace needs the map.
+ */
+export function prefetchSourceMaps(pathsOrUrls: string | string[]): Promise<void>;
+/**
+ * prefetchSourceMaps() for every module in `require.cache`, or in the browser, every `<script src>` on the page.
+ */
+export function warmCache(): Promise<void>;
+/**
+ * Sizes of the caches, and cumulative hits, misses and evictions.
+ */
+export function getCacheStats(): CacheStats;
+/**
+ * Forget the cached contents of a file, and any source map read from it or for it.
+ */
+export function invalidate(pathOrUrl: string): void;
 export function resetRetrieveHandlers(): void;
 
 /**
@@ -1,4 +1,4 @@
-const { TraceMap, originalPositionFor, AnyMap } = require('@jridgewell/trace-mapping');
+const { TraceMap, originalPositionFor, AnyMap, decodedMap, decodedMappings, presortedDecodedMap } = require('@jridgewell/trace-mapping');
 var path = require('path');
 const { fileURLToPath, pathToFileURL } = require('url');
 var util = require('util');
@@ -29,6 +29,7 @@ function dynamicRequire(mod, request) {
  *   enabled: boolean;
  *   originalValue: any;
  *   installedValue: any;
+ *   owner?: {version: string, path: string};
  * }} HookState
  * Used for installing and uninstalling hooks
  */
@@ -85,6 +86,17 @@ var sharedData = initializeSharedData({
   processEmitHook: undefined,
   /** @type {HookState} */
   moduleResolveFilenameHook: undefined,
+  /** @type {HookState} */
+  webAssemblyHook: undefined,
+  /** @type {HookState} */
+  windowErrorsHook: undefined,
+  /** @type {HookState} */
+  workerHook: undefined,
+  /** @type {HookState} */
+  nodeOptionsHook: undefined,
+  // Receives sources captured by the ESM loader's `load` hook, which runs off-thread
+  /** @type {import('worker_threads').MessagePort | undefined} */
+  esmLoaderPort: undefined,
 
   /** @type {Array<(request: string, parent: any, isMain: boolean, options: any, redirectedRequest: string) => void>} */
   onConflictingLibraryRedirectArr: [],
@@ -96,9 +108,84 @@ var sharedData = initializeSharedData({
   fileContentsCache: Object.create(null),
 
   // Maps a file path to a source map for that file
-  /** @type {Record<string, {url: string, map: TraceMap}} */
+  /** @type {Record<string, {url: string, map: TraceMap, size?: number, dependencies?: string[]}} */
   sourceMapCache: Object.create(null),
 
+  // The keys of each cache, least recently used first
+  /** @type {{fileContentsCache: Map<string, true>, sourceMapCache: Map<string, true>}} */
+  cacheRecency: {
+    fileContentsCache: new Map(),
+    sourceMapCache: new Map()
+  },
+
+  // Configured by install()
+  cacheLimits: {
+    fileContentsCache: { maxEntries: Infinity, maxBytes: Infinity },
+    sourceMapCache: { maxEntries: Infinity, maxBytes: Infinity }
+  },
+  // If false, sourcesContent is discarded instead of copied into fileContentsCache
+  retainSourcesContent: true,
+
+  // Number of source maps followed from a generated position: more than one
+  // maps original sources which have source maps of their own
+  maxSourceMapDepth: 1,
+
+  // Locations probed for the source maps of generated files which have no
+  // sourceMappingURL, or null not to probe any
+  /** @type {Array<string | import('./source-map-support').PathRewrite> | null} */
+  sidecarSourceMaps: null,
+
+  // Directories searched for source maps by the debug IDs of generated files
+  /** @type {string[]} */
+  debugIdDirs: [],
+  // Maps each of debugIdDirs to an index of the debug IDs of its source maps
+  /** @type {Record<string, Record<string, string>>} */
+  debugIdIndexes: Object.create(null),
+
+  // Rules rewriting the paths and URLs of generated files before their source
+  // maps are retrieved, and of original sources as resolved from source maps
+  /** @type {{generated: import('./source-map-support').PathRewrite[], sources: import('./source-map-support').PathRewrite[]}} */
+  pathRewrites: { generated: [], sources: [] },
+
+  // If true, cached files and source maps are checked for changes on disk before reuse
+  revalidateCache: false,
+  // Maps a file path to its mtime and size when it was read into fileContentsCache
+  /** @type {Record<string, {path: string, mtimeMs: number, size: number}>} */
+  fileStats: Object.create(null),
+
+  // Categories and predicates of frames which prepareStackTrace leaves out
+  /** @type {import('./source-map-support').HideFramesOptions | null} */
+  hideFrames: null,
+
+  // How prepareStackTrace prints frames whose original source is ignore-listed
+  /** @type {'show' | 'drop' | 'collapse' | 'tag'} */
+  ignoreListedFrames: 'show',
+
+  // How to work alongside node's own source map support (--enable-source-maps):
+  // reuse the maps node parsed, or leave stack traces to node entirely
+  /** @type {'reuse' | 'defer' | 'ignore'} */
+  nodeSourceMaps: 'reuse',
+
+  // Directory where parsed source maps are stored across process starts, or null
+  /** @type {string | null} */
+  persistentCacheDir: null,
+  // Bounds of persistentCacheDir, enforced whenever an entry is written
+  persistentCacheLimits: { maxBytes: 100e6, maxAge: 7 * 24 * 60 * 60 * 1000 },
+
+  // If true, or a function to receive each event, the steps taken to map
+  // positions are recorded for getDiagnostics()
+  /** @type {boolean | ((event: object) => void)} */
+  debug: isDebugEnvSet(),
+  // Maps the cache key of a generated file to its most recent diagnostic events
+  /** @type {Record<string, object[]>} */
+  diagnostics: Object.create(null),
+
+  // Running totals for getCacheStats()
+  cacheStats: {
+    fileContentsCache: { entries: 0, bytes: 0, hits: 0, misses: 0, evictions: 0 },
+    sourceMapCache: { entries: 0, bytes: 0, hits: 0, misses: 0, evictions: 0 }
+  },
+
   // Priority list of retrieve handlers
   retrieveFileHandlers: [],
   retrieveMapHandlers: [],
@@ -108,11 +195,33 @@ var sharedData = initializeSharedData({
   internalRetrieveFileHandlers: [],
   internalRetrieveMapHandlers: [],
 
+  // Maps the hash in a wasm:// script URL to the source map related custom
+  // sections of each module compiled with that hash, and the URL that relative
+  // references resolve against
+  /** @type {Record<string, Array<{url: string | null, size: number, sourceMappingURL: string | null, externalDebugInfo: string | null}>>} */
+  wasmModules: Object.create(null),
+
+  // Maps an Error to the structured frames computed when its stack was prepared
+  /** @type {WeakMap<object, import('./source-map-support').MappedFrame[]>} */
+  mappedFramesCache: new WeakMap(),
+
+  // Maps the cache key of a generated file to the source maps registered for
+  // ranges of its lines, ordered by their first line
+  /** @type {Record<string, Array<{lineOffset: number, lineCount: number, sourceMap: {url: string, map: TraceMap}, contents: string | null, sourceKeys: string[]}>>} */
+  registeredSourceMaps: Object.create(null),
+  // Maps the cache key of an original source to the registrations whose maps
+  // have its sourcesContent
+  /** @type {Record<string, Array<{sourceMap: {map: TraceMap}, sourceKeys: string[]}>>} */
+  registeredSources: Object.create(null),
+
 });
 
 // Supports {browser, node, auto}
 var environment = "auto";
 
+// Identifies this copy of the library as the owner of the hooks it installs
+var instanceInfo = { version: require('./package.json').version, path: __filename };
+
 // Regex for detecting source maps
 var reSourceMap = /^data:application\/json[^,]+base64,/;
 
@@ -151,7 +260,7 @@ function isSchemeRelativeUrl(input) {
 // #region Caches
 /** @param {string} pathOrFileUrl */
 function getCacheKey(pathOrFileUrl) {
-  if(pathOrFileUrl.startsWith('node:')) return pathOrFileUrl;
+  if(pathOrFileUrl.startsWith('node:') || pathOrFileUrl.startsWith('data:')) return pathOrFileUrl;
   if(isFileUrl(pathOrFileUrl)) {
     // Must normalize spaces to %20, stuff like that
     return new URL(pathOrFileUrl).toString();
@@ -163,40 +272,316 @@ function getCacheKey(pathOrFileUrl) {
     }
   }
 }
+// Both caches are plain objects, shared with other instances which may write
+// to them directly.  Recency for LRU eviction is kept apart, in a Map whose
+// iteration order is the order of use, so that evicting an entry does not
+// enumerate the cache.
+// `name` is the name of the cache's field on sharedData.
+function cacheGet(name, key) {
+  var cache = sharedData[name];
+  var stats = sharedData.cacheStats[name];
+  if (!Object.prototype.hasOwnProperty.call(cache, key) || cache[key] === undefined) {
+    stats.misses++;
+    return undefined;
+  }
+  stats.hits++;
+  var recency = sharedData.cacheRecency[name];
+  recency.delete(key);
+  recency.set(key, true);
+  return cache[key];
+}
+function cacheHas(name, key) {
+  return Object.prototype.hasOwnProperty.call(sharedData[name], key) && sharedData[name][key] !== undefined;
+}
+// Setting undefined removes the entry
+function cacheSet(name, key, value, size) {
+  var cache = sharedData[name];
+  var stats = sharedData.cacheStats[name];
+  var recency = sharedData.cacheRecency[name];
+  if (Object.prototype.hasOwnProperty.call(cache, key)) {
+    stats.entries = Math.max(0, stats.entries - 1);
+    stats.bytes = Math.max(0, stats.bytes - getCacheEntrySize(name, cache[key]));
+    delete cache[key];
+  }
+  recency.delete(key);
+  if (value === undefined) return value;
+  cache[key] = value;
+  recency.set(key, true);
+  stats.entries++;
+  stats.bytes += size;
+
+  // Evict least recently used entries, but never the one just added
+  var limits = sharedData.cacheLimits[name];
+  if (stats.entries <= limits.maxEntries && stats.bytes <= limits.maxBytes) return value;
+  var keys = recency.keys();
+  for (var next = keys.next(); !next.done; next = keys.next()) {
+    var oldestKey = next.value;
+    if (oldestKey === key || (stats.entries <= limits.maxEntries && stats.bytes <= limits.maxBytes)) break;
+    recency.delete(oldestKey);
+    // Removed directly by another instance
+    if (!Object.prototype.hasOwnProperty.call(cache, oldestKey)) continue;
+    stats.entries--;
+    stats.bytes = Math.max(0, stats.bytes - getCacheEntrySize(name, cache[oldestKey]));
+    stats.evictions++;
+    delete cache[oldestKey];
+    if (name === 'fileContentsCache') delete sharedData.fileStats[oldestKey];
+  }
+  return value;
+}
+// Approximate; strings are counted as one byte per character
+function getCacheEntrySize(name, value) {
+  if (name === 'fileContentsCache') {
+    return typeof value === 'string' ? value.length : 0;
+  }
+  return (value && value.size) || 0;
+}
+
 function getFileContentsCache(key) {
-  return sharedData.fileContentsCache[getCacheKey(key)];
+  return cacheGet('fileContentsCache', getCacheKey(key));
 }
-function hasFileContentsCacheFromKey(key) {
-  return Object.prototype.hasOwnProperty.call(sharedData.fileContentsCache, key);
+function hasFileContentsCache(key) {
+  return cacheHas('fileContentsCache', getCacheKey(key));
 }
 function getFileContentsCacheFromKey(key) {
-  return sharedData.fileContentsCache[key];
+  return cacheGet('fileContentsCache', key);
+}
+function setFileContentsCacheFromKey(key, value) {
+  return cacheSet('fileContentsCache', key, value, getCacheEntrySize('fileContentsCache', value));
 }
 function setFileContentsCache(key, value) {
-  return sharedData.fileContentsCache[getCacheKey(key)] = value;
+  return setFileContentsCacheFromKey(getCacheKey(key), value);
 }
 function getSourceMapCache(key) {
-  return sharedData.sourceMapCache[getCacheKey(key)];
+  return cacheGet('sourceMapCache', getCacheKey(key));
+}
+function hasSourceMapCache(key) {
+  return cacheHas('sourceMapCache', getCacheKey(key));
 }
 function setSourceMapCache(key, value) {
-  return sharedData.sourceMapCache[getCacheKey(key)] = value;
+  return cacheSet('sourceMapCache', getCacheKey(key), value, getCacheEntrySize('sourceMapCache', value));
 }
 function clearCaches() {
   sharedData.fileContentsCache = Object.create(null);
   sharedData.sourceMapCache = Object.create(null);
+  sharedData.cacheRecency = { fileContentsCache: new Map(), sourceMapCache: new Map() };
+  sharedData.fileStats = Object.create(null);
+  sharedData.cacheStats.fileContentsCache.entries = sharedData.cacheStats.fileContentsCache.bytes = 0;
+  sharedData.cacheStats.sourceMapCache.entries = sharedData.cacheStats.sourceMapCache.bytes = 0;
+}
+// #region Revalidation
+function statFile(path) {
+  try {
+    return fs.statSync(path);
+  } catch (e) {
+    return null;
+  }
+}
+// A missing file is recorded too, so that its creation is noticed
+function recordFileStat(key, path, stat) {
+  sharedData.fileStats[key] = {
+    path: path,
+    mtimeMs: stat ? stat.mtimeMs : -1,
+    size: stat ? stat.size : -1
+  };
+}
+function isFileStale(key) {
+  var recorded = sharedData.fileStats[key];
+  if (!recorded || !fs) return false;
+  var stat = statFile(recorded.path);
+  return (stat ? stat.mtimeMs : -1) !== recorded.mtimeMs || (stat ? stat.size : -1) !== recorded.size;
+}
+function isSourceMapStale(sourceMap) {
+  return !!sourceMap.dependencies && sourceMap.dependencies.some(isFileStale);
+}
+
+// Forget a file, and every source map which was read from it or for it
+function invalidateKey(key) {
+  setFileContentsCacheFromKey(key, undefined);
+  delete sharedData.fileStats[key];
+  for (var source in sharedData.sourceMapCache) {
+    var sourceMap = sharedData.sourceMapCache[source];
+    if (source === key || (sourceMap && sourceMap.dependencies && sourceMap.dependencies.indexOf(key) !== -1)) {
+      cacheSet('sourceMapCache', source, undefined, 0);
+    }
+  }
+}
+function invalidate(pathOrUrl) {
+  invalidateKey(getCacheKey(pathOrUrl));
+  sharedData.debugIdIndexes = Object.create(null);
+}
+// #endregion Revalidation
+
+function getCacheStats() {
+  return {
+    fileContents: Object.assign({}, sharedData.cacheStats.fileContentsCache),
+    sourceMaps: Object.assign({}, sharedData.cacheStats.sourceMapCache)
+  };
 }
 // #endregion Caches
 
-function handlerExec(list, internalList) {
+// #region Diagnostics
+// With the debug option or the SOURCE_MAP_SUPPORT_DEBUG environment variable,
+// each step taken to map a position of a generated file is recorded: the
+// handlers consulted, the sourceMappingURL found, whether the map could be
+// read, errors, and the outcome of each lookup.
+var maxDiagnosticEvents = 50;
+
+function isDebugEnvSet() {
+  var value = typeof process === 'object' && process && process.env ? process.env.SOURCE_MAP_SUPPORT_DEBUG : undefined;
+  return !!value && value !== '0' && value !== 'false';
+}
+
+// Receives the events of the explain() in progress, if any
+var explainEvents = null;
+
+function traceEvent(source, event) {
+  if (!sharedData.debug && !explainEvents) return;
+  var key = getCacheKey(source);
+  event = Object.assign({ source: key }, event);
+  if (explainEvents) explainEvents.push(event);
+  if (sharedData.debug) {
+    var events = sharedData.diagnostics[key] || (sharedData.diagnostics[key] = []);
+    events.push(event);
+    if (events.length > maxDiagnosticEvents) events.shift();
+    if (typeof sharedData.debug === 'function') sharedData.debug(event);
+  }
+}
+
+function traceHandler(type, source, handler, custom, result) {
+  traceEvent(source, {
+    type: type,
+    handler: handler.name || '(anonymous)',
+    custom: custom,
+    found: !!result
+  });
+}
+
+// Map one position, recording every step.  The generated file and its source
+// map are dropped from the caches first, so that retrieval is recorded too.
+// line and column are 1-based, as in stack traces.
+function explain(pathOrUrl, line, column) {
+  var position = { source: pathOrUrl, line: line, column: (column || 1) - 1 };
+  var mapped = position;
+  var events = explainEvents = [];
+  try {
+    mapped = withScratchCaches(function() {
+      return mapSourcePosition(position);
+    });
+  } catch (e) {
+    // Recorded as an event by mapSourcePosition()
+  } finally {
+    explainEvents = null;
+  }
+  return {
+    source: pathOrUrl,
+    line: line,
+    column: position.column + 1,
+    original: mapped === position ? null : {
+      source: mapped.source,
+      line: mapped.line,
+      column: mapped.column + 1,
+      name: mapped.name || null
+    },
+    events: events
+  };
+}
+
+// Runs fn() against empty caches, so that every step of a lookup is taken
+// and recorded, then puts the caches back untouched.  Contents captured by
+// the hooks are carried over, as they cannot be read again; those read from
+// files, which have a recorded stat, are read afresh.
+function withScratchCaches(fn) {
+  var saved = {
+    fileContentsCache: sharedData.fileContentsCache,
+    sourceMapCache: sharedData.sourceMapCache,
+    fileStats: sharedData.fileStats,
+    cacheStats: sharedData.cacheStats,
+    cacheRecency: sharedData.cacheRecency
+  };
+  var fileContentsStats = { entries: 0, bytes: 0, hits: 0, misses: 0, evictions: 0 };
+  var fileContentsCache = Object.create(null);
+  var fileContentsRecency = new Map();
+  for (var key in saved.fileContentsCache) {
+    var contents = saved.fileContentsCache[key];
+    if (contents === undefined || saved.fileStats[key]) continue;
+    fileContentsCache[key] = contents;
+    fileContentsRecency.set(key, true);
+    fileContentsStats.entries++;
+    fileContentsStats.bytes += getCacheEntrySize('fileContentsCache', contents);
+  }
+  sharedData.fileContentsCache = fileContentsCache;
+  sharedData.sourceMapCache = Object.create(null);
+  sharedData.fileStats = Object.create(null);
+  sharedData.cacheStats = {
+    fileContentsCache: fileContentsStats,
+    sourceMapCache: { entries: 0, bytes: 0, hits: 0, misses: 0, evictions: 0 }
+  };
+  sharedData.cacheRecency = { fileContentsCache: fileContentsRecency, sourceMapCache: new Map() };
+  try {
+    return fn();
+  } finally {
+    Object.assign(sharedData, saved);
+  }
+}
+
+// Which copy of the library installed each hook, and whether other code has
+// since replaced it
+function getHookSummary() {
+  var Module = null;
+  try {
+    Module = dynamicRequire(module, 'module');
+  } catch (e) {}
+  var hooks = {
+    prepareStackTrace: [sharedData.errorPrepareStackTraceHook, function() { return Error.prepareStackTrace; }],
+    processEmit: [sharedData.processEmitHook, function() { return process.emit; }],
+    resolveFilename: [sharedData.moduleResolveFilenameHook, function() { return Module && Module._resolveFilename; }],
+    webAssembly: [sharedData.webAssemblyHook, function(hook) {
+      return WebAssembly.Module === hook.installedValue.Module ? hook.installedValue : null;
+    }],
+    windowErrors: [sharedData.windowErrorsHook, function(hook) { return hook.installedValue; }],
+    workers: [sharedData.workerHook, function() { return dynamicRequire(module, 'worker_threads').Worker; }],
+    nodeOptions: [sharedData.nodeOptionsHook, function() { return process.env.NODE_OPTIONS; }]
+  };
+  var summary = {};
+  Object.keys(hooks).forEach(function(name) {
+    var hook = hooks[name][0];
+    summary[name] = hook ? {
+      owner: hook.owner || null,
+      enabled: hook.enabled,
+      replaced: hooks[name][1](hook) !== hook.installedValue
+    } : null;
+  });
+  return summary;
+}
+
+function getDiagnostics() {
+  var files = {};
+  for (var key in sharedData.diagnostics) {
+    files[key] = sharedData.diagnostics[key].slice();
+  }
+  return {
+    instance: Object.assign({}, instanceInfo),
+    debug: !!sharedData.debug,
+    nodeSourceMaps: { enabled: isNodeSourceMapsEnabled(), mode: sharedData.nodeSourceMaps },
+    hooks: getHookSummary(),
+    files: files
+  };
+}
+// #endregion Diagnostics
+
+// With traceType, each handler consulted is recorded as a diagnostic event
+function handlerExec(list, internalList, traceType) {
   return function(arg) {
     for (var i = 0; i < list.length; i++) {
       var ret = list[i](arg);
+      if (traceType) traceHandler(traceType, arg, list[i], true, ret);
       if (ret) {
         return ret;
       }
     }
     for (var i = 0; i < internalList.length; i++) {
       var ret = internalList[i](arg);
+      if (traceType) traceHandler(traceType, arg, internalList[i], false, ret);
       if (ret) {
         return ret;
       }
@@ -210,17 +595,23 @@ var retrieveFile = handlerExec(sharedData.retrieveFileHandlers, sharedData.inter
 sharedData.internalRetrieveFileHandlers.push(function(path) {
   // Trim the path to make sure there is no extra whitespace.
   path = path.trim();
+  // Compute the key before stripping the protocol, so that sources captured
+  // under a URL with a query string are found.
+  const key = getCacheKey(path);
+  if (sharedData.revalidateCache && isFileStale(key)) {
+    invalidateKey(key);
+  }
+  var cachedContents = getFileContentsCacheFromKey(key);
+  if (cachedContents !== undefined) {
+    return cachedContents;
+  }
   if (/^file:/.test(path)) {
     // existsSync/readFileSync can't handle file protocol, but once stripped, it works
     path = path.replace(/file:\/\/\/(\w:)?/, function(protocol, drive) {
       return drive ?
         '' : // file:///C:/dir/file -> C:/dir/file
         '/'; // file:///root-dir/file -> /root-dir/file
-    });
-  }
-  const key = getCacheKey(path);
-  if(hasFileContentsCacheFromKey(key)) {
-    return getFileContentsCacheFromKey(key);
+    }).replace(/[?#].*$/, '');
   }
 
   var contents = '';
@@ -233,15 +624,19 @@ sharedData.internalRetrieveFileHandlers.push(function(path) {
       if (xhr.readyState === 4 && xhr.status === 200) {
         contents = xhr.responseText;
       }
-    } else if (fs.existsSync(path)) {
-      // Otherwise, use the filesystem
-      contents = fs.readFileSync(path, 'utf8');
+    } else {
+      // Stat before reading, so that a concurrent write is seen as a change
+      recordFileStat(key, path, statFile(path));
+      if (fs.existsSync(path)) {
+        // Otherwise, use the filesystem
+        contents = fs.readFileSync(path, 'utf8');
+      }
     }
   } catch (er) {
     /* ignore any errors */
   }
 
-  return setFileContentsCache(path, contents);
+  return setFileContentsCacheFromKey(key, contents);
 });
 
 // Support URLs relative to a directory, but be careful about a protocol prefix
@@ -294,6 +689,277 @@ function supportRelativeURL(file, url) {
   }
 }
 
+// #region WebAssembly
+var reWasmUrl = /^wasm:\/\/wasm\/(?:.*-)?([0-9a-f]{8})$/;
+function isWasmUrl(input) {
+  return input.startsWith('wasm://');
+}
+
+/** @param {ArrayBuffer | ArrayBufferView} bufferSource */
+function toUint8Array(bufferSource) {
+  if (ArrayBuffer.isView(bufferSource)) {
+    return new Uint8Array(bufferSource.buffer, bufferSource.byteOffset, bufferSource.byteLength);
+  }
+  return new Uint8Array(bufferSource);
+}
+
+// V8 names wasm scripts wasm://wasm/[<module name>-]<hash>, where the hash is
+// StringHasher::HashSequentialString() of the module's bytes with a zero seed,
+// as computed by CreateWasmScript() in src/wasm/wasm-engine.cc.  Stack frames
+// carry nothing else to identify their module by, so this mirrors an engine
+// internal: checkWasmModuleHash() verifies it against the running engine
+// before any module is captured.
+/** @param {Uint8Array} bytes */
+function getWasmModuleHash(bytes) {
+  var hash;
+  // Above String::kMaxHashCalcLength, V8 only hashes the length
+  if (bytes.length > 16383) {
+    hash = bytes.length;
+  } else {
+    hash = 0;
+    for (var i = 0; i < bytes.length; i++) {
+      hash = (hash + bytes[i]) >>> 0;
+      hash = (hash + (hash << 10)) >>> 0;
+      hash = (hash ^ (hash >>> 6)) >>> 0;
+    }
+    hash = (hash + (hash << 3)) >>> 0;
+    hash = (hash ^ (hash >>> 11)) >>> 0;
+    hash = (hash + (hash << 15)) >>> 0;
+    hash = hash & 0x3fffffff || 27;
+  }
+  // Hash is stored shifted, with the "not an integer index" flag set
+  return ('0000000' + (((hash << 2) | 2) >>> 0).toString(16)).slice(-8);
+}
+
+// A module which calls its import "m" "f" from its export "g"
+var wasmHashCheckModule = [
+  0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00,
+  0x01, 0x04, 0x01, 0x60, 0x00, 0x00, // type 0: () => ()
+  0x02, 0x07, 0x01, 0x01, 0x6d, 0x01, 0x66, 0x00, 0x00, // import m.f
+  0x03, 0x02, 0x01, 0x00, // function 1 of type 0
+  0x07, 0x05, 0x01, 0x01, 0x67, 0x00, 0x01, // export g
+  0x0a, 0x06, 0x01, 0x04, 0x00, 0x10, 0x00, 0x0b // g: call 0
+];
+
+// Whether getWasmModuleHash() names modules the way the running engine does,
+// found by reading the script name of a wasm frame.  WasmModule is the
+// original constructor, so that the check is not itself captured.
+var wasmModuleHashMatchesEngine;
+function checkWasmModuleHash(WasmModule) {
+  if (wasmModuleHashMatchesEngine !== undefined) return wasmModuleHashMatchesEngine;
+  var bytes = new Uint8Array(wasmHashCheckModule);
+  var fileName = null;
+  function f() {
+    var prepareStackTrace = Error.prepareStackTrace;
+    var stackTraceLimit = Error.stackTraceLimit;
+    var holder = {};
+    try {
+      Error.prepareStackTrace = function(_, stack) { return stack; };
+      Error.stackTraceLimit = 10;
+      Error.captureStackTrace(holder);
+      (holder.stack || []).forEach(function(callSite) {
+        var name = callSite.getFileName();
+        if (!fileName && name && isWasmUrl(name)) fileName = name;
+      });
+    } finally {
+      Error.prepareStackTrace = prepareStackTrace;
+      Error.stackTraceLimit = stackTraceLimit;
+    }
+  }
+  try {
+    new WebAssembly.Instance(new WasmModule(bytes), { m: { f: f } }).exports.g();
+  } catch (e) {
+    /* fileName stays null */
+  }
+  var match = fileName && reWasmUrl.exec(fileName);
+  return wasmModuleHashMatchesEngine = !!match && match[1] === getWasmModuleHash(bytes);
+}
+
+// Extract the custom sections which point at source maps or debug info.
+// Returns null if bytes is not a wasm module.
+/** @param {Uint8Array} bytes */
+function readWasmCustomSections(bytes) {
+  if (bytes.length < 8 || bytes[0] !== 0 || bytes[1] !== 0x61 || bytes[2] !== 0x73 || bytes[3] !== 0x6d) {
+    return null;
+  }
+  var offset = 8;
+  function readU32() {
+    var result = 0;
+    for (var shift = 0; shift < 35; shift += 7) {
+      var byte = bytes[offset++];
+      result |= (byte & 0x7f) << shift;
+      if (!(byte & 0x80)) break;
+    }
+    return result >>> 0;
+  }
+  function readString() {
+    var length = readU32();
+    var string = Buffer.from(bytes.subarray(offset, offset + length)).toString('utf8');
+    offset += length;
+    return string;
+  }
+  var sections = { sourceMappingURL: null, externalDebugInfo: null };
+  while (offset < bytes.length) {
+    var id = bytes[offset++];
+    var size = readU32();
+    var end = offset + size;
+    if (id === 0) {
+      var name = readString();
+      if (name === 'sourceMappingURL') {
+        sections.sourceMappingURL = readString();
+      } else if (name === 'external_debug_info') {
+        sections.externalDebugInfo = readString();
+      }
+    }
+    offset = end;
+  }
+  return sections;
+}
+
+// Remember where a module compiled from bufferSource keeps its source map, so
+// that its wasm:// frames can be mapped.  Must never break compilation.
+function captureWasmModule(bufferSource, url) {
+  if (!wasmModuleHashMatchesEngine) return;
+  try {
+    var bytes = toUint8Array(bufferSource);
+    var sections = readWasmCustomSections(bytes);
+    if (sections && (sections.sourceMappingURL || sections.externalDebugInfo)) {
+      var hash = getWasmModuleHash(bytes);
+      var modules = sharedData.wasmModules[hash] || (sharedData.wasmModules[hash] = []);
+      var wasmModule = {
+        url: url,
+        size: bytes.length,
+        sourceMappingURL: sections.sourceMappingURL,
+        externalDebugInfo: sections.externalDebugInfo
+      };
+      if (!modules.some(function(other) { return isSameWasmSourceMap(other, wasmModule); })) {
+        modules.push(wasmModule);
+      }
+    }
+  } catch (e) {
+    /* ignore */
+  }
+}
+
+// File name of the nearest caller of fn, used as the base URL of modules
+// compiled from bytes.  Tools like wasm-bindgen read the .wasm file from
+// next to the JS which compiles it.
+function getCallerFileName(fn) {
+  var prepareStackTrace = Error.prepareStackTrace;
+  var holder = {};
+  try {
+    Error.prepareStackTrace = function(_, stack) { return stack; };
+    Error.captureStackTrace(holder, fn);
+    var stack = holder.stack || [];
+    for (var i = 0; i < stack.length; i++) {
+      var fileName = stack[i].getFileName();
+      if (fileName) return fileName;
+    }
+  } catch (e) {
+    /* ignore */
+  } finally {
+    Error.prepareStackTrace = prepareStackTrace;
+  }
+  return null;
+}
+
+// Read a whole file as bytes.  Only supported in node.
+function retrieveFileBytes(pathOrUrl) {
+  try {
+    if (fs && !isInBrowser()) {
+      return fs.readFileSync(tryFileURLToPath(pathOrUrl));
+    }
+  } catch (e) {
+    /* ignore */
+  }
+  return null;
+}
+
+function isSameWasmSourceMap(a, b) {
+  return a.url === b.url && a.sourceMappingURL === b.sourceMappingURL && a.externalDebugInfo === b.externalDebugInfo;
+}
+
+function retrieveWasmSourceMapURL(source) {
+  var match = reWasmUrl.exec(source);
+  var modules = match && sharedData.wasmModules[match[1]];
+  if (!modules) return null;
+  // Modules over 16 KiB are hashed by their size alone, so different modules
+  // of the same size share a hash.  Rather than guess, leave their frames be.
+  var wasmModule = modules[0];
+  if (!modules.every(function(other) { return isSameWasmSourceMap(other, wasmModule); })) {
+    return null;
+  }
+  if (wasmModule.sourceMappingURL) {
+    return supportRelativeURL(wasmModule.url, wasmModule.sourceMappingURL);
+  }
+
+  // external_debug_info points at a separate file holding debug info for the
+  // module, which may itself be a source map, or a wasm file with a
+  // sourceMappingURL section.
+  var debugInfoURL = supportRelativeURL(wasmModule.url, wasmModule.externalDebugInfo);
+  var debugInfo = retrieveFileBytes(debugInfoURL);
+  if (!debugInfo) return null;
+  var sections = readWasmCustomSections(debugInfo);
+  if (!sections) return debugInfoURL;
+  return sections.sourceMappingURL && supportRelativeURL(debugInfoURL, sections.sourceMappingURL);
+}
+
+// Wrap WebAssembly's compilation functions to capture the bytes of every module
+function shimWebAssembly() {
+  var originalValue = {
+    Module: WebAssembly.Module,
+    compile: WebAssembly.compile,
+    instantiate: WebAssembly.instantiate,
+    compileStreaming: WebAssembly.compileStreaming,
+    instantiateStreaming: WebAssembly.instantiateStreaming
+  };
+  checkWasmModuleHash(originalValue.Module);
+  var hook = sharedData.webAssemblyHook = {
+    enabled: true,
+    originalValue: originalValue,
+    installedValue: undefined,
+    owner: instanceInfo
+  };
+  var installedValue = hook.installedValue = {
+    // A Proxy keeps instanceof and static methods working
+    Module: new Proxy(originalValue.Module, {
+      construct: function(target, args, newTarget) {
+        if (hook.enabled) captureWasmModule(args[0], getCallerFileName(installedValue.Module));
+        return Reflect.construct(target, args, newTarget);
+      }
+    }),
+    compile: function compile(bufferSource) {
+      if (hook.enabled) captureWasmModule(bufferSource, getCallerFileName(compile));
+      return originalValue.compile.apply(this, arguments);
+    },
+    instantiate: function instantiate(source) {
+      if (hook.enabled && !(source instanceof originalValue.Module)) {
+        captureWasmModule(source, getCallerFileName(instantiate));
+      }
+      return originalValue.instantiate.apply(this, arguments);
+    }
+  };
+  ['compileStreaming', 'instantiateStreaming'].forEach(function(name) {
+    if (typeof originalValue[name] !== 'function') return;
+    installedValue[name] = function(source) {
+      var self = this, args = Array.prototype.slice.call(arguments);
+      return Promise.resolve(source).then(function(response) {
+        if (hook.enabled) {
+          response.clone().arrayBuffer().then(function(buffer) {
+            captureWasmModule(buffer, response.url || null);
+          }, function() {});
+        }
+        args[0] = response;
+        return originalValue[name].apply(self, args);
+      });
+    };
+  });
+  Object.keys(installedValue).forEach(function(name) {
+    WebAssembly[name] = installedValue[name];
+  });
+}
+// #endregion WebAssembly
+
 // Return pathOrUrl in the same style as matchStyleOf: either a file URL or a native path
 function matchStyleOfPathOrUrl(matchStyleOf, pathOrUrl) {
   try {
@@ -311,15 +977,56 @@ function matchStyleOfPathOrUrl(matchStyleOf, pathOrUrl) {
   }
 }
 
+// #region Path rewrites
+// Rules configured by the pathRewrites option, for code built or deployed
+// somewhere other than where its files are read from.  The first rule which
+// matches a path or URL rewrites it; a file URL is also matched as a path,
+// and the result converted back to a URL.
+function rewritePath(pathOrUrl, rules) {
+  for (var i = 0; i < rules.length; i++) {
+    var rewritten = applyPathRewrite(rules[i], pathOrUrl);
+    if (rewritten === undefined && isFileUrl(pathOrUrl)) {
+      rewritten = applyPathRewrite(rules[i], tryFileURLToPath(pathOrUrl));
+      if (rewritten !== undefined) rewritten = matchStyleOfPathOrUrl(pathOrUrl, rewritten);
+    }
+    if (rewritten !== undefined) return rewritten;
+  }
+  return pathOrUrl;
+}
+
+// A string matches as a prefix; a RegExp is replaced as by String#replace
+function applyPathRewrite(rule, input) {
+  if (typeof rule.from === 'string') {
+    return input.startsWith(rule.from) ? rule.to + input.slice(rule.from.length) : undefined;
+  }
+  rule.from.lastIndex = 0;
+  return rule.from.test(input) ? input.replace(rule.from, rule.to) : undefined;
+}
+
+function rewriteGeneratedPath(source) {
+  return rewritePath(source, sharedData.pathRewrites.generated);
+}
+
+function validatePathRewrites(rules, name) {
+  (rules || []).forEach(function(rule) {
+    if (!rule || !(typeof rule.from === 'string' || rule.from instanceof RegExp) || typeof rule.to !== 'string') {
+      throw new Error(name + ' expects rules of the form { from: string | RegExp, to: string }');
+    }
+  });
+  return (rules || []).slice();
+}
+// #endregion Path rewrites
+
 function retrieveSourceMapURL(source) {
-  var fileData;
+  if (isWasmUrl(source)) {
+    return retrieveWasmSourceMapURL(source);
+  }
 
   if (isInBrowser()) {
      try {
        var xhr = new XMLHttpRequest();
        xhr.open('GET', source, false);
        xhr.send(null);
-       fileData = xhr.readyState === 4 ? xhr.responseText : null;
 
        // Support providing a sourceMappingURL via the SourceMap header
        var sourceMapHeader = xhr.getResponseHeader("SourceMap") ||
@@ -332,7 +1039,75 @@ function retrieveSourceMapURL(source) {
   }
 
   // Get the URL of the source map
-  fileData = retrieveFile(tryFileURLToPath(source));
+  return findInGeneratedFile(source, findSourceMappingURL);
+};
+
+// Search the contents of a generated file with find(), which returns null if
+// it finds nothing.  Files on disk are only scanned, rather than read into
+// fileContentsCache, unless custom handlers or registrations provide their
+// contents.
+function findInGeneratedFile(source, find) {
+  // Sources captured by hookEsmLoader are cached under their exact URL, which
+  // may carry a query string that would be lost converting to a path.
+  var filePath = hasFileContentsCache(source) ? source : tryFileURLToPath(source);
+  var fileData = retrieveFileFromCustomHandlers(filePath) || retrieveRegisteredFile(filePath);
+  if (!fileData && !hasFileContentsCache(filePath)) {
+    var found = scanFileTail(filePath, find);
+    if (found !== undefined) {
+      traceEvent(source, { type: 'readGenerated', found: true });
+      return found;
+    }
+  }
+  fileData = fileData || retrieveFile(filePath);
+  traceEvent(source, { type: 'readGenerated', found: !!fileData });
+  return find(fileData);
+}
+
+// Search a file on disk with find(), reading only the end of the file, where
+// comments such as the sourceMappingURL normally are.  Only the whole lines in
+// that end are searched; if find() finds nothing there, as when an inline
+// source map is longer than the end read, the whole file is searched, without
+// caching it.  Returns undefined if the file cannot be read.
+var sourceMappingURLTailSize = 64 * 1024;
+function scanFileTail(filePath, find) {
+  if (!fs) return undefined;
+  var fd;
+  try {
+    fd = fs.openSync(filePath, 'r');
+  } catch (e) {
+    return undefined;
+  }
+  try {
+    var stat = fs.fstatSync(fd);
+    recordFileStat(getCacheKey(filePath), filePath, stat);
+    var start = Math.max(0, stat.size - sourceMappingURLTailSize);
+    var tail = readFileRange(fd, start, stat.size);
+    if (start > 0) {
+      var lineStart = tail.search(/[\r\n]/);
+      tail = lineStart === -1 ? '' : tail.slice(lineStart + 1);
+    }
+    var found = find(tail);
+    if (found || start === 0) return found;
+    return find(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    return undefined;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function readFileRange(fd, start, end) {
+  var buffer = Buffer.alloc(end - start);
+  var length = 0;
+  while (length < buffer.length) {
+    var bytesRead = fs.readSync(fd, buffer, length, buffer.length - length, start + length);
+    if (!bytesRead) break;
+    length += bytesRead;
+  }
+  return buffer.toString('utf8', 0, length);
+}
+
+function findSourceMappingURL(fileData) {
   var re = /(?:\/\/[@#][\s]*sourceMappingURL=([^\s'"]+)[\s]*$)|(?:\/\*[@#][\s]*sourceMappingURL=([^\s*'"]+)[\s]*(?:\*\/)[\s]*$)/mg;
   // Keep executing the search to find the *last* sourceMappingURL to avoid
   // picking up sourceMappingURLs from comments, strings, etc.
@@ -340,7 +1115,7 @@ function retrieveSourceMapURL(source) {
   while (match = re.exec(fileData)) lastMatch = match;
   if (!lastMatch) return null;
   return lastMatch[1];
-};
+}
 
 // Can be overridden by the retrieveSourceMap option to install. Takes a
 // generated source filename; returns a {map, optional url} object, or null if
@@ -348,14 +1123,16 @@ function retrieveSourceMapURL(source) {
 // JSON object (ie, it must be a valid argument to the SourceMapConsumer
 // constructor).
 /** @type {(source: string) => import('./source-map-support').UrlAndMap | null} */
-var retrieveSourceMap = handlerExec(sharedData.retrieveMapHandlers, sharedData.internalRetrieveMapHandlers);
-sharedData.internalRetrieveMapHandlers.push(function(source) {
+var retrieveSourceMap = handlerExec(sharedData.retrieveMapHandlers, sharedData.internalRetrieveMapHandlers, 'retrieveSourceMap');
+sharedData.internalRetrieveMapHandlers.push(function retrieveSourceMapFromURL(source) {
   var sourceMappingURL = retrieveSourceMapURL(source);
-  if (!sourceMappingURL) return null;
+  var inline = !!sourceMappingURL && reSourceMap.test(sourceMappingURL);
+  traceEvent(source, { type: 'sourceMappingURL', url: inline ? 'data:' : sourceMappingURL });
+  if (!sourceMappingURL) return retrieveSidecarSourceMap(source);
 
   // Read the contents of the source map
   var sourceMapData;
-  if (reSourceMap.test(sourceMappingURL)) {
+  if (inline) {
     // Support source map URL as a data url
     var rawData = sourceMappingURL.slice(sourceMappingURL.indexOf(',') + 1);
     sourceMapData = Buffer.from(rawData, "base64").toString();
@@ -365,6 +1142,7 @@ sharedData.internalRetrieveMapHandlers.push(function(source) {
     sourceMappingURL = supportRelativeURL(source, sourceMappingURL);
     sourceMapData = retrieveFile(tryFileURLToPath(sourceMappingURL));
   }
+  traceEvent(source, { type: 'readSourceMap', url: sourceMappingURL, found: !!sourceMapData });
 
   if (!sourceMapData) {
     return null;
@@ -376,43 +1154,598 @@ sharedData.internalRetrieveMapHandlers.push(function(source) {
   };
 });
 
-function mapSourcePosition(position) {
-  var sourceMap = getSourceMapCache(position.source);
-  if (!sourceMap) {
-    // Call the (overrideable) retrieveSourceMap function to get the source map.
-    var urlAndMap = retrieveSourceMap(position.source);
-    if (urlAndMap) {
-      sourceMap = setSourceMapCache(position.source, {
-        url: urlAndMap.url,
-        map: new AnyMap(urlAndMap.map, urlAndMap.url)
-      });
+// #region Sidecar source maps
+// Build tools may strip the sourceMappingURL comment but still emit the source
+// map next to the generated file.  With the sidecarSourceMaps option, the
+// configured locations are probed in order: templates resolved against the
+// generated file, where [base] is its file name and [name] that name without
+// its extension, or rules rewriting its path.  A candidate is only used if its
+// file field names the generated file.
+var defaultSidecarLocations = ['[base].map'];
+
+function retrieveSidecarSourceMap(source) {
+  var locations = sharedData.sidecarSourceMaps;
+  if (!locations || isWasmUrl(source)) return null;
+  var base = source.replace(/[?#].*$/, '').split(/[\\/]/).pop();
+  var name = base.replace(/\.[^.]*$/, '');
+  for (var i = 0; i < locations.length; i++) {
+    var url = getSidecarURL(source, locations[i], base, name);
+    if (!url) continue;
+    var sourceMapData = retrieveFile(tryFileURLToPath(url));
+    var found = !!sourceMapData && isSourceMapOf(sourceMapData, base);
+    traceEvent(source, { type: 'sidecar', url: url, found: found });
+    if (found) {
+      return {
+        url: url,
+        map: sourceMapData
+      };
+    }
+  }
+  return null;
+}
 
-      // Overwrite trace-mapping's resolutions, because they do not handle
-      // Windows paths the way we want.
-      // TODO Remove now that windows path support was added to resolve-uri and thus trace-mapping?
-      sourceMap.map.resolvedSources = sourceMap.map.sources.map(s => supportRelativeURL(sourceMap.url, s));
-
-      // Load all sources stored inline with the source map into the file cache
-      // to pretend like they are already loaded. They may not exist on disk.
-      if (sourceMap.map.sourcesContent) {
-        sourceMap.map.resolvedSources.forEach(function(resolvedSource, i) {
-          var contents = sourceMap.map.sourcesContent[i];
-          if (contents) {
-            setFileContentsCache(resolvedSource, contents);
-          }
-        });
+function getSidecarURL(source, location, base, name) {
+  if (typeof location === 'string') {
+    return supportRelativeURL(source, location.replace(/\[base\]/g, base).replace(/\[name\]/g, name));
+  }
+  var rewritten = rewritePath(source, [location]);
+  return rewritten !== source ? rewritten : null;
+}
+
+function isSourceMapOf(sourceMapData, base) {
+  try {
+    var file = JSON.parse(sourceMapData).file;
+    return typeof file === 'string' && file.replace(/[?#].*$/, '').split(/[\\/]/).pop() === base;
+  } catch (e) {
+    return false;
+  }
+}
+
+function validateSidecarLocations(locations) {
+  if (!locations) return null;
+  if (locations === true) return defaultSidecarLocations;
+  return locations.map(function(location) {
+    if (typeof location === 'string') return location;
+    return validatePathRewrites([location], 'sidecarSourceMaps')[0];
+  });
+}
+// #endregion Sidecar source maps
+
+// Node parses the source maps of the modules it loads while its own support
+// is enabled.  Reuse them rather than reading them again; node has already
+// resolved their sources to absolute URLs.
+sharedData.internalRetrieveMapHandlers.unshift(function retrieveSourceMapFromNode(source) {
+  if (sharedData.nodeSourceMaps !== 'reuse' || isInBrowser() || !isNodeSourceMapsEnabled()) return null;
+  try {
+    var sourceMap = dynamicRequire(module, 'module').findSourceMap(source);
+    return sourceMap && sourceMap.payload ? { url: source, map: sourceMap.payload } : null;
+  } catch (e) {
+    return null;
+  }
+});
+
+function isNodeSourceMapsEnabled() {
+  if (typeof process !== 'object' || !process) return false;
+  // Reflects process.setSourceMapsEnabled() too, since node 18.19 and 20.7
+  if (typeof process.sourceMapsEnabled === 'boolean') return process.sourceMapsEnabled;
+  return (process.execArgv || []).indexOf('--enable-source-maps') !== -1 ||
+    /(?:^|\s)--enable-source-maps(?:\s|$)/.test((process.env && process.env.NODE_OPTIONS) || '');
+}
+
+// #region Debug IDs
+// Generated files may carry a `//# debugId=<uuid>` comment, and their source
+// maps the same ID in a `debugId` field, so that maps can be kept apart from
+// the code, in the directories configured by the debugIdDirs option.
+sharedData.internalRetrieveMapHandlers.push(retrieveSourceMapFromDebugId);
+function retrieveSourceMapFromDebugId(source) {
+  if (!sharedData.debugIdDirs.length || isWasmUrl(source)) return null;
+  var debugId = findInGeneratedFile(source, findDebugId);
+  if (!debugId) return null;
+  var mapPath = findDebugIdSourceMap(debugId);
+  traceEvent(source, { type: 'debugId', id: debugId, url: mapPath });
+  var sourceMapData = mapPath && retrieveFile(mapPath);
+  return sourceMapData ? { url: mapPath, map: sourceMapData } : null;
+}
+
+function findDebugId(fileData) {
+  var re = /^\/\/# debugId=([0-9a-fA-F]{8}-(?:[0-9a-fA-F]{4}-){3}[0-9a-fA-F]{12})[\s]*$/mg;
+  // The last comment wins, as for sourceMappingURL
+  var lastMatch, match;
+  while (match = re.exec(fileData)) lastMatch = match;
+  return lastMatch ? lastMatch[1].toLowerCase() : null;
+}
+
+function findDebugIdSourceMap(debugId) {
+  for (var i = 0; i < sharedData.debugIdDirs.length; i++) {
+    var mapPath = findDebugIdInDirectory(sharedData.debugIdDirs[i], debugId);
+    if (mapPath) return mapPath;
+  }
+  return null;
+}
+
+// Maps the debug IDs of the source maps in a directory to their paths.  The
+// index is brought up to date with the files added to the directory whenever
+// a debug ID is missing from it, and is rebuilt after invalidate().
+function findDebugIdInDirectory(dir, debugId) {
+  var index = sharedData.debugIdIndexes[dir];
+  if (!index) {
+    index = sharedData.debugIdIndexes[dir] = { ids: Object.create(null), scanned: Object.create(null) };
+  } else if (index.ids[debugId]) {
+    return index.ids[debugId];
+  }
+  var names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch (e) {
+    return null;
+  }
+  names.forEach(function(name) {
+    if (!/\.map$/.test(name) || index.scanned[name]) return;
+    index.scanned[name] = true;
+    var mapPath = path.join(dir, name);
+    var mapDebugId = readSourceMapDebugId(mapPath);
+    if (mapDebugId && !index.ids[mapDebugId]) index.ids[mapDebugId] = mapPath;
+  });
+  return index.ids[debugId] || null;
+}
+
+// Finds the debug ID field of a source map without parsing it, looking only at
+// the start and the end of the file, where tools put it, so that indexing a
+// directory of large maps stays cheap.
+var debugIdScanSize = 4 * 1024;
+function readSourceMapDebugId(mapPath) {
+  var fd;
+  try {
+    fd = fs.openSync(mapPath, 'r');
+  } catch (e) {
+    return null;
+  }
+  try {
+    var size = fs.fstatSync(fd).size;
+    var head = readFileRange(fd, 0, Math.min(size, debugIdScanSize));
+    var tail = size > debugIdScanSize ? readFileRange(fd, Math.max(debugIdScanSize, size - debugIdScanSize), size) : '';
+    // debug_id is the field's name in earlier drafts of the proposal
+    var re = /"(?:debugId|debug_id)"\s*:\s*"([0-9a-fA-F]{8}-(?:[0-9a-fA-F]{4}-){3}[0-9a-fA-F]{12})"/;
+    var match = re.exec(head) || re.exec(tail);
+    return match ? match[1].toLowerCase() : null;
+  } catch (e) {
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// #endregion Debug IDs
+
+// #region Persistent cache
+// Parsed source maps can be stored in a directory shared by many processes, so
+// that short-lived ones skip reading, JSON.parse and VLQ decoding of large
+// maps.  An entry is keyed by a hash of the generated file's path and of its
+// contents, so it is not reused once the generated file is rebuilt.  Entries
+// are written to a temporary file and renamed into place, so that concurrent
+// writers never expose a partially written entry.  The least recently used
+// entries are removed beyond persistentCacheLimits.
+//
+// Layout, in native-endian 32-bit words: magic, byte length of the JSON
+// header, the header padded to a word boundary, then for each generated line
+// its segment count followed by each segment's length and fields.
+var persistentCacheMagic = 0x534d5332; // "SMS2"; reads back differently on a machine of other endianness
+
+// Path of the entry for a generated file, or null if there is no cache or the
+// file cannot be read.  Contents captured by the hooks are hashed in
+// preference to the file on disk, since they are what ran.
+function getPersistentCachePath(source) {
+  if (!sharedData.persistentCacheDir || !fs || isInBrowser() || isWasmUrl(source)) return null;
+  var contents;
+  try {
+    contents = hasFileContentsCache(source) ?
+      getFileContentsCache(source) : fs.readFileSync(tryFileURLToPath(rewriteGeneratedPath(source)));
+  } catch (e) {
+    return null;
+  }
+  if (!contents) return null;
+  var hash = dynamicRequire(module, 'crypto').createHash('sha1')
+    .update(getCacheKey(source) + '\0')
+    .update(contents)
+    .digest('hex');
+  return path.join(sharedData.persistentCacheDir, hash + '.map-cache');
+}
+
+// Returns the entry as the output of retrieveSourceMap(), with the map
+// already parsed, or null
+function readPersistentCacheEntry(entryPath) {
+  try {
+    var buffer = fs.readFileSync(entryPath);
+    if (buffer.byteOffset % 4) buffer = Buffer.from(buffer);
+    var words = new Int32Array(buffer.buffer, buffer.byteOffset, buffer.length >> 2);
+    if (words[0] !== persistentCacheMagic) return null;
+    var header = JSON.parse(buffer.toString('utf8', 8, 8 + words[1]));
+    var i = 2 + Math.ceil(words[1] / 4);
+    var mappings = new Array(header.lineCount);
+    for (var line = 0; line < mappings.length; line++) {
+      if (i >= words.length) return null;
+      var segments = mappings[line] = new Array(words[i++]);
+      for (var j = 0; j < segments.length; j++) {
+        var segment = segments[j] = new Array(words[i++]);
+        for (var k = 0; k < segment.length; k++) segment[k] = words[i++];
       }
-    } else {
-      sourceMap = setSourceMapCache(position.source, {
-        url: null,
-        map: null
+    }
+    if (i !== words.length) return null;
+    header.map.mappings = mappings;
+    var map = presortedDecodedMap(header.map, header.url);
+    map.ignoreList = header.map.ignoreList || [];
+    // Mark the entry as recently used
+    var now = new Date();
+    fs.utimesSync(entryPath, now, now);
+    return { url: header.url, map: map, size: header.size };
+  } catch (e) {
+    // Missing or unreadable; parse the source map instead
+    return null;
+  }
+}
+
+function writePersistentCacheEntry(entryPath, url, map, size) {
+  var decoded = decodedMap(map);
+  var header = Buffer.from(JSON.stringify({
+    url: url,
+    size: size,
+    lineCount: decoded.mappings.length,
+    map: Object.assign({}, decoded, { mappings: undefined, ignoreList: map.ignoreList })
+  }));
+  var headerWords = Math.ceil(header.length / 4);
+  var length = 2 + headerWords;
+  decoded.mappings.forEach(function(segments) {
+    length += 1 + segments.length;
+    segments.forEach(function(segment) { length += segment.length; });
+  });
+
+  var words = new Int32Array(length);
+  words[0] = persistentCacheMagic;
+  words[1] = header.length;
+  var i = 2 + headerWords;
+  decoded.mappings.forEach(function(segments) {
+    words[i++] = segments.length;
+    segments.forEach(function(segment) {
+      words[i++] = segment.length;
+      for (var k = 0; k < segment.length; k++) words[i++] = segment[k];
+    });
+  });
+  var buffer = Buffer.from(words.buffer);
+  header.copy(buffer, 8);
+
+  var tempPath = entryPath + '.' + process.pid + '-' + Math.random().toString(36).slice(2) + '.tmp';
+  try {
+    fs.mkdirSync(sharedData.persistentCacheDir, { recursive: true });
+    fs.writeFileSync(tempPath, buffer);
+    fs.renameSync(tempPath, entryPath);
+    prunePersistentCache();
+  } catch (e) {
+    // The cache is only an optimization
+    try {
+      fs.unlinkSync(tempPath);
+    } catch (e2) {
+      /* nop */
+    }
+  }
+}
+
+// Remove entries older than maxAge, then the least recently used ones until
+// the rest fit in maxBytes.  Other processes may be removing them too.
+function prunePersistentCache() {
+  var limits = sharedData.persistentCacheLimits;
+  var now = Date.now();
+  var entries = [];
+  fs.readdirSync(sharedData.persistentCacheDir).forEach(function(name) {
+    if (!/\.map-cache$/.test(name)) return;
+    var entryPath = path.join(sharedData.persistentCacheDir, name);
+    var stat = statFile(entryPath);
+    if (stat) entries.push({ path: entryPath, size: stat.size, mtimeMs: stat.mtimeMs });
+  });
+  entries.sort(function(a, b) { return b.mtimeMs - a.mtimeMs; });
+  var bytes = 0;
+  entries.forEach(function(entry) {
+    bytes += entry.size;
+    if (now - entry.mtimeMs > limits.maxAge || bytes > limits.maxBytes) {
+      try {
+        fs.unlinkSync(entry.path);
+      } catch (e) {
+        /* nop */
+      }
+    }
+  });
+}
+
+// entryPath, if given, is where to store the parsed map for later processes
+function parseSourceMap(urlAndMap, entryPath) {
+  if (urlAndMap.map instanceof TraceMap) return urlAndMap.map;
+  var parsed = typeof urlAndMap.map === 'string' ? JSON.parse(urlAndMap.map) : urlAndMap.map;
+  var map = new AnyMap(parsed, urlAndMap.url);
+  // trace-mapping does not keep ignoreList, so remember it on the map ourselves
+  map.ignoreList = [];
+  collectIgnoreList(parsed, 0, map.ignoreList);
+  if (entryPath) writePersistentCacheEntry(entryPath, urlAndMap.url, map, getSourceMapSize(urlAndMap));
+  return map;
+}
+// #endregion Persistent cache
+
+// Collect the indices of ignore-listed sources, numbered the way AnyMap
+// flattens the sources of sectioned maps.  Returns the number of sources.
+function collectIgnoreList(map, offset, ignoreList) {
+  if (typeof map === 'string') map = JSON.parse(map);
+  if (!map.sections) {
+    (map.ignoreList || map.x_google_ignoreList || []).forEach(function(index) {
+      ignoreList.push(offset + index);
+    });
+    return map.sources.length;
+  }
+  var count = 0;
+  map.sections.forEach(function(section) {
+    count += collectIgnoreList(section.map, offset + count, ignoreList);
+  });
+  return count;
+}
+
+// Parse the output of retrieveSourceMap() and cache it for source.  A null
+// urlAndMap is cached too, so that retrieval is not attempted again.  The
+// parsed map is also stored at entryPath, if given.
+function cacheSourceMap(source, urlAndMap, entryPath) {
+  // Cache keys of the files the entry was derived from, for revalidation
+  var dependencies = [getCacheKey(source)];
+  var rewritten = rewriteGeneratedPath(source);
+  if (rewritten !== source) {
+    dependencies.push(getCacheKey(rewritten));
+  }
+  if (!urlAndMap) {
+    return setSourceMapCache(source, {
+      url: null,
+      map: null,
+      dependencies: dependencies
+    });
+  }
+  if (urlAndMap.url && dependencies.indexOf(getCacheKey(urlAndMap.url)) === -1) {
+    dependencies.push(getCacheKey(urlAndMap.url));
+  }
+  return setSourceMapCache(source, createSourceMapEntry(source, urlAndMap, dependencies, entryPath));
+}
+
+// Size of the raw map is a rough proxy for the memory used by the parsed one
+// Approximate for maps given as objects, such as those parsed by node, which
+// are not serialized again: their mappings and sourcesContent make up most of
+// their size
+function getSourceMapSize(urlAndMap) {
+  if (urlAndMap.size != null) return urlAndMap.size;
+  var map = urlAndMap.map;
+  if (typeof map === 'string') return map.length;
+  var size = typeof map.mappings === 'string' ? map.mappings.length : 0;
+  (map.sourcesContent || []).forEach(function(contents) {
+    if (typeof contents === 'string') size += contents.length;
+  });
+  return size;
+}
+
+// Parse urlAndMap into an entry of the shape stored in sourceMapCache
+function createSourceMapEntry(source, urlAndMap, dependencies, entryPath) {
+  var sourceMap = {
+    url: urlAndMap.url,
+    map: parseSourceMap(urlAndMap, entryPath),
+    size: getSourceMapSize(urlAndMap),
+    dependencies: dependencies
+  };
+
+  // Overwrite trace-mapping's resolutions, because they do not handle
+  // Windows paths the way we want.
+  // TODO Remove now that windows path support was added to resolve-uri and thus trace-mapping?
+  // Rewriting them here keys their sourcesContent by the rewritten source too.
+  sourceMap.map.resolvedSources = sourceMap.map.sources.map(s =>
+    rewritePath(supportRelativeURL(sourceMap.url, s), sharedData.pathRewrites.sources));
+
+  // Load all sources stored inline with the source map into the file cache
+  // to pretend like they are already loaded. They may not exist on disk.
+  if (sourceMap.map.sourcesContent) {
+    sourceMap.map.resolvedSources.forEach(function(resolvedSource, i) {
+      var contents = sourceMap.map.sourcesContent[i];
+      if (!contents) return;
+      if (sharedData.retainSourcesContent) {
+        setFileContentsCache(resolvedSource, contents);
+      } else {
+        sourceMap.size = Math.max(0, sourceMap.size - contents.length);
+      }
+    });
+    if (!sharedData.retainSourcesContent) {
+      sourceMap.map.sourcesContent = undefined;
+    }
+  }
+  return sourceMap;
+}
+
+// #region Registered source maps
+// Source maps registered with registerSourceMap() are kept apart from the
+// caches, so that clearing them, as emptyCacheBetweenOperations does, keeps
+// the registrations.  Each registration maps a range of lines of its
+// generated file; the map's first line is the range's first line.
+function registerSourceMap(generatedPathOrUrl, map, options) {
+  options = options || {};
+  if (typeof map !== 'string' && (map === null || typeof map !== 'object')) {
+    throw new Error('registerSourceMap() expects a source map as a string or an object');
+  }
+  var key = getCacheKey(generatedPathOrUrl);
+  var sourceMap = createSourceMapEntry(generatedPathOrUrl, { url: generatedPathOrUrl, map: map }, [key]);
+  var lineOffset = options.lineOffset || 0;
+  var lineCount = typeof options.contents === 'string' ?
+    options.contents.split('\n').length : Math.max(1, decodedMappings(sourceMap.map).length);
+  var registration = {
+    lineOffset: lineOffset,
+    lineCount: lineCount,
+    sourceMap: sourceMap,
+    contents: typeof options.contents === 'string' ? options.contents : null,
+    sourceKeys: sourceMap.map.sourcesContent ? sourceMap.map.resolvedSources.map(getCacheKey) : []
+  };
+  // A registration replaces those whose lines it overlaps, such as earlier
+  // code evaluated again under the same name
+  var registrations = (sharedData.registeredSourceMaps[key] || []).filter(function(other) {
+    return other.lineOffset >= lineOffset + lineCount || other.lineOffset + other.lineCount <= lineOffset;
+  });
+  registrations.push(registration);
+  registrations.sort(function(a, b) { return a.lineOffset - b.lineOffset; });
+  setRegistrations(key, registrations);
+}
+
+// Remove the registrations of a generated file, or only the one starting at
+// options.lineOffset.  Returns whether any was removed.
+function unregisterSourceMap(generatedPathOrUrl, options) {
+  var key = getCacheKey(generatedPathOrUrl);
+  var registrations = sharedData.registeredSourceMaps[key];
+  if (!registrations) return false;
+  var lineOffset = options && options.lineOffset;
+  var remaining = lineOffset == null ? [] : registrations.filter(function(registration) {
+    return registration.lineOffset !== lineOffset;
+  });
+  setRegistrations(key, remaining);
+  return remaining.length !== registrations.length;
+}
+
+// Replace the registrations of a generated file, keeping registeredSources in
+// step
+function setRegistrations(key, registrations) {
+  (sharedData.registeredSourceMaps[key] || []).forEach(function(registration) {
+    registration.sourceKeys.forEach(function(sourceKey) {
+      var remaining = sharedData.registeredSources[sourceKey].filter(function(other) {
+        return other !== registration;
       });
+      if (remaining.length) {
+        sharedData.registeredSources[sourceKey] = remaining;
+      } else {
+        delete sharedData.registeredSources[sourceKey];
+      }
+    });
+  });
+  if (registrations.length) {
+    sharedData.registeredSourceMaps[key] = registrations;
+  } else {
+    delete sharedData.registeredSourceMaps[key];
+  }
+  registrations.forEach(function(registration) {
+    registration.sourceKeys.forEach(function(sourceKey) {
+      (sharedData.registeredSources[sourceKey] = sharedData.registeredSources[sourceKey] || []).push(registration);
+    });
+  });
+}
+
+function hasRegisteredSourceMaps() {
+  for (var key in sharedData.registeredSourceMaps) return true;
+  return false;
+}
+
+// The registration whose range contains the 1-based line of the source with
+// cache key `key`, if any
+function findRegisteredSourceMap(key, line) {
+  var registrations = sharedData.registeredSourceMaps[key];
+  if (!registrations) return null;
+  for (var i = 0; i < registrations.length; i++) {
+    var registration = registrations[i];
+    if (line > registration.lineOffset && line <= registration.lineOffset + registration.lineCount) {
+      return registration;
+    }
+  }
+  return null;
+}
+
+// Serve the registered contents of generated files, with the lines outside
+// every registration left empty, and the sourcesContent of registered maps
+function retrieveRegisteredFile(path) {
+  if (!hasRegisteredSourceMaps()) return null;
+  var key = getCacheKey(path.trim());
+  var registrations = sharedData.registeredSourceMaps[key];
+  if (registrations) {
+    var lines = [];
+    registrations.forEach(function(registration) {
+      if (registration.contents === null) return;
+      while (lines.length < registration.lineOffset) lines.push('');
+      lines.push.apply(lines, registration.contents.split('\n'));
+    });
+    if (lines.length) return lines.join('\n');
+  }
+  var contents = null;
+  (sharedData.registeredSources[key] || []).some(function(registration) {
+    contents = registration.sourceMap.map.sourcesContent[registration.sourceKeys.indexOf(key)];
+    return !!contents;
+  });
+  return contents || null;
+}
+sharedData.internalRetrieveFileHandlers.unshift(retrieveRegisteredFile);
+// #endregion Registered source maps
+
+// With transitiveSourceMaps, original sources which have source maps of their
+// own, such as the output of an earlier build stage, are mapped in turn.  The
+// name comes from the deepest map which has one.
+var defaultMaxSourceMapDepth = 10;
+function mapSourcePosition(position) {
+  var mapped = mapSourcePositionOnce(position);
+  if (sharedData.maxSourceMapDepth <= 1 || mapped === position) return mapped;
+  var seen = [getCacheKey(position.source)];
+  for (var depth = 1; depth < sharedData.maxSourceMapDepth && mapped !== position; depth++) {
+    var key = getCacheKey(mapped.source);
+    if (seen.indexOf(key) !== -1) {
+      traceEvent(mapped.source, { type: 'cycle' });
+      break;
+    }
+    seen.push(key);
+    position = { source: mapped.source, line: mapped.line, column: mapped.column };
+    var next = mapSourcePositionOnce(position);
+    if (next === position) break;
+    if (next.name == null) next.name = mapped.name;
+    mapped = next;
+  }
+  return mapped;
+}
+
+function mapSourcePositionOnce(position) {
+  receiveEsmLoaderSources();
+  var key = getCacheKey(position.source);
+  var registration = findRegisteredSourceMap(key, position.line);
+  var sourceMap = registration ? registration.sourceMap : cacheGet('sourceMapCache', key);
+  if (!registration && sourceMap && sharedData.revalidateCache && isSourceMapStale(sourceMap)) {
+    sourceMap.dependencies.forEach(invalidateKey);
+    sourceMap = undefined;
+  }
+  if (sourceMap) {
+    traceEvent(position.source, registration ?
+      { type: 'registered', lineOffset: registration.lineOffset } :
+      { type: 'cached', url: sourceMap.url });
+  } else {
+    try {
+      var entryPath = getPersistentCachePath(position.source);
+      var persisted = entryPath && readPersistentCacheEntry(entryPath);
+      if (persisted) {
+        traceEvent(position.source, { type: 'persisted', url: persisted.url });
+        sourceMap = cacheSourceMap(position.source, persisted);
+      } else {
+        // Call the (overrideable) retrieveSourceMap function to get the source map.
+        sourceMap = cacheSourceMap(position.source, retrieveSourceMap(rewriteGeneratedPath(position.source)), entryPath);
+      }
+    } catch (e) {
+      traceEvent(position.source, { type: 'error', message: e && e.message });
+      throw e;
     }
   }
 
   // Resolve the source URL relative to the URL of the source map
   if (sourceMap && sourceMap.map) {
-    var originalPosition = originalPositionFor(sourceMap.map, position);
+    var originalPosition = originalPositionFor(sourceMap.map, registration ? {
+      line: position.line - registration.lineOffset,
+      column: position.column
+    } : position);
+    traceEvent(position.source, {
+      type: 'lookup',
+      line: position.line,
+      column: position.column + 1,
+      original: originalPosition.source === null ? null : {
+        source: originalPosition.source,
+        line: originalPosition.line,
+        column: originalPosition.column + 1,
+        name: originalPosition.name
+      }
+    });
 
     // Only return the original position if a matching line was found. If no
     // matching line is found then we return position instead, which will cause
@@ -420,6 +1753,10 @@ function mapSourcePosition(position) {
     // better to give a precise location in the compiled file than a vague
     // location in the original file.
     if (originalPosition.source !== null) {
+      var ignoreList = sourceMap.map.ignoreList || [];
+      originalPosition.ignoreListed = ignoreList.some(function(index) {
+        return sourceMap.map.resolvedSources[index] === originalPosition.source;
+      });
       // originalPosition.source has *already* been resolved against sourceMap.url
       // so is *already* as absolute as possible.
       // However, we want to ensure we output in same format as input: URL or native path
@@ -432,6 +1769,161 @@ function mapSourcePosition(position) {
   return position;
 }
 
+// #region Prefetch
+// Asynchronous counterparts of retrieveFile, retrieveSourceMapURL and
+// retrieveSourceMap, to load source maps ahead of time so that formatting a
+// stack trace does not block on IO.  Custom handlers are synchronous; they are
+// still consulted first.
+var retrieveFileFromCustomHandlers = handlerExec(sharedData.retrieveFileHandlers, []);
+var retrieveSourceMapFromCustomHandlers = handlerExec(sharedData.retrieveMapHandlers, []);
+
+async function retrieveFileAsync(path) {
+  var contents = retrieveFileFromCustomHandlers(path);
+  if (contents) return contents;
+
+  path = path.trim();
+  const key = getCacheKey(path);
+  if (sharedData.revalidateCache && isFileStale(key)) {
+    invalidateKey(key);
+  }
+  var cachedContents = getFileContentsCacheFromKey(key);
+  if (cachedContents !== undefined) {
+    return cachedContents;
+  }
+
+  contents = '';
+  try {
+    if (fs && fs.promises) {
+      var filePath = tryFileURLToPath(path);
+      recordFileStat(key, filePath, await fs.promises.stat(filePath).catch(function() { return null; }));
+      contents = await fs.promises.readFile(filePath, 'utf8');
+    } else if (typeof fetch === 'function') {
+      var response = await fetch(path);
+      if (response.ok) {
+        contents = await response.text();
+      }
+    }
+  } catch (er) {
+    /* ignore any errors */
+  }
+
+  return setFileContentsCacheFromKey(key, contents);
+}
+
+async function retrieveSourceMapURLAsync(source) {
+  if (isWasmUrl(source)) {
+    return retrieveWasmSourceMapURL(source);
+  }
+
+  if (isInBrowser() && typeof fetch === 'function') {
+    try {
+      var response = await fetch(source);
+      // Support providing a sourceMappingURL via the SourceMap header
+      var sourceMapHeader = response.headers.get("SourceMap") ||
+                            response.headers.get("X-SourceMap");
+      if (sourceMapHeader) {
+        return sourceMapHeader;
+      }
+      if (response.ok) {
+        setFileContentsCache(source, await response.text());
+      }
+    } catch (e) {
+    }
+  }
+
+  var fileData = await retrieveFileAsync(hasFileContentsCache(source) ? source : tryFileURLToPath(source));
+  return findSourceMappingURL(fileData);
+}
+
+// If the contents of the generated file are already at hand, they are
+// searched for a sourceMappingURL instead of being read again.
+async function retrieveSourceMapAsync(source, contents) {
+  var urlAndMap = retrieveSourceMapFromCustomHandlers(source);
+  if (urlAndMap) return urlAndMap;
+
+  var sourceMappingURL = contents != null ? findSourceMappingURL(contents) : await retrieveSourceMapURLAsync(source);
+  // Probing sidecar locations and looking up debug IDs is synchronous, but
+  // rarely configured, and reads each debug ID directory only once
+  if (!sourceMappingURL) return retrieveSidecarSourceMap(source) || retrieveSourceMapFromDebugId(source);
+
+  // Read the contents of the source map
+  var sourceMapData;
+  if (reSourceMap.test(sourceMappingURL)) {
+    // Support source map URL as a data url
+    var rawData = sourceMappingURL.slice(sourceMappingURL.indexOf(',') + 1);
+    sourceMapData = Buffer.from(rawData, "base64").toString();
+    sourceMappingURL = source;
+  } else {
+    // Support source map URLs relative to the source URL
+    sourceMappingURL = supportRelativeURL(source, sourceMappingURL);
+    sourceMapData = await retrieveFileAsync(tryFileURLToPath(sourceMappingURL));
+  }
+
+  if (!sourceMapData) {
+    return null;
+  }
+
+  return {
+    url: sourceMappingURL,
+    map: sourceMapData
+  };
+}
+
+// Concurrent prefetches of the same source share a promise
+/** @type {Record<string, Promise<void>>} */
+var pendingPrefetches = Object.create(null);
+
+function prefetchSourceMap(source, contents) {
+  var key = getCacheKey(source);
+  if (hasSourceMapCache(source)) return Promise.resolve();
+  if (pendingPrefetches[key]) return pendingPrefetches[key];
+  // Hashing the generated file for the persistent cache is synchronous, but
+  // saves reading and parsing its source map
+  var entryPath = getPersistentCachePath(source);
+  var persisted = entryPath && readPersistentCacheEntry(entryPath);
+  if (persisted) {
+    cacheSourceMap(source, persisted);
+    return Promise.resolve();
+  }
+  return pendingPrefetches[key] = retrieveSourceMapAsync(rewriteGeneratedPath(source), contents).then(function(urlAndMap) {
+    // A stack trace may have been mapped synchronously while we were waiting
+    if (!hasSourceMapCache(source)) {
+      cacheSourceMap(source, urlAndMap, entryPath);
+    }
+  }).catch(function() {
+    /* mapSourcePosition will try again */
+  }).then(function() {
+    delete pendingPrefetches[key];
+  });
+}
+
+// Load and parse the source maps of generated files ahead of time
+function prefetchSourceMaps(pathsOrUrls) {
+  if (!Array.isArray(pathsOrUrls)) {
+    pathsOrUrls = [pathsOrUrls];
+  }
+  return Promise.all(pathsOrUrls.map(function(source) {
+    return prefetchSourceMap(source);
+  })).then(function() {});
+}
+
+// Prefetch source maps for every loaded module, or every script in the page
+function warmCache() {
+  var sources = [];
+  if (isInBrowser()) {
+    if (typeof document !== 'undefined') {
+      var scripts = document.getElementsByTagName('script');
+      for (var i = 0; i < scripts.length; i++) {
+        if (scripts[i].src) sources.push(scripts[i].src);
+      }
+    }
+  } else {
+    sources = Object.keys(dynamicRequire(module, 'module')._cache);
+  }
+  return prefetchSourceMaps(sources);
+}
+// #endregion Prefetch
+
 // Parses code generated by FormatEvalOrigin(), a function inside V8:
 // https://code.google.com/p/v8/source/browse/trunk/src/messages.js
 function mapEvalOrigin(origin) {
@@ -569,12 +2061,10 @@ function wrapCallSite(frame, state) {
   // from getScriptNameOrSourceURL() instead
   var source = frame.getFileName() || frame.getScriptNameOrSourceURL();
   if (source) {
-    // v8 does not expose its internal isWasm, etc methods, so we do this instead.
-    if(source.startsWith('wasm://')) {
-      state.curPosition = null;
-      return frame;
-    }
+    // v8 does not expose its internal isWasm, etc methods, so we do this instead.
+    var isWasm = isWasmUrl(source);
 
+    // For wasm, line is always 1 and column is the byte offset within the module
     var line = frame.getLineNumber();
     var column = frame.getColumnNumber() - 1;
 
@@ -585,7 +2075,7 @@ function wrapCallSite(frame, state) {
     // Test node versions for: 10.16-19, 10.20+, 12-19, 20-99, 100+, or 11.11
     var noHeader = /^v(10\.1[6-9]|10\.[2-9][0-9]|10\.[0-9]{3,}|1[2-9]\d*|[2-9]\d|\d{3,}|11\.11)/;
     var headerLength = noHeader.test(process.version) ? 0 : 62;
-    if (line === 1 && column > headerLength && !isInBrowser() && !frame.isEval()) {
+    if (line === 1 && column > headerLength && !isInBrowser() && !frame.isEval() && !isWasm) {
       column -= headerLength;
     }
 
@@ -594,8 +2084,20 @@ function wrapCallSite(frame, state) {
       line: line,
       column: column
     });
+
+    // Unmapped wasm frames are left alone; CallSiteToString() cannot
+    // reproduce v8's wasm-function[index]:offset format.
+    if (isWasm && position.source === source) {
+      state.curPosition = null;
+      return frame;
+    }
+
     state.curPosition = position;
     frame = cloneCallSite(frame);
+    if (isWasm) {
+      // Otherwise CallSiteToString() treats it as a method call on `null`
+      frame.isToplevel = function() { return true; };
+    }
     var originalFunctionName = frame.getFunctionName;
     frame.getFunctionName = function() {
       if (state.nextPosition == null) {
@@ -623,6 +2125,195 @@ function wrapCallSite(frame, state) {
   return frame;
 }
 
+// Snapshot a CallSite, before and after wrapCallSite(), as a plain object.
+// Must be called before state.nextPosition moves on, because the wrapped
+// getFunctionName() reads it lazily.  Only the fields which filtering frames
+// needs are read up front; completeMappedFrames() reads the others when
+// getMappedFrames() asks for them, unless hideFrames, whose predicates receive
+// whole frames, is set.
+function createMappedFrame(generatedFrame, frame, position) {
+  var isNative = generatedFrame.isNative();
+  var generatedSource = isNative ? null :
+    generatedFrame.getFileName() || generatedFrame.getScriptNameOrSourceURL() || null;
+  var generatedLine = isNative ? null : generatedFrame.getLineNumber();
+  var generatedColumn = isNative ? null : generatedFrame.getColumnNumber();
+  // wrapCallSite() leaves state.curPosition untouched for frames without a source
+  if (!generatedSource) position = null;
+  var mapped = !!position && (position.source !== generatedSource ||
+    position.line !== generatedLine || position.column + 1 !== generatedColumn);
+  var mappedFrame = {
+    source: position ? position.source : generatedSource,
+    line: position ? position.line : generatedLine,
+    column: position ? position.column + 1 : generatedColumn,
+    name: (mapped && position.name) || null,
+    generatedSource: generatedSource,
+    generatedLine: generatedLine,
+    generatedColumn: generatedColumn,
+    mapped: mapped,
+    ignoreListed: mapped && !!position.ignoreListed,
+    functionName: frame.getFunctionName() || null,
+    isNative: isNative
+  };
+  if (sharedData.hideFrames) addMappedFrameDetails(mappedFrame, generatedFrame);
+  return mappedFrame;
+}
+
+// The details of a frame which wrapCallSite() leaves as they are, read from
+// its original CallSite
+function addMappedFrameDetails(mappedFrame, callSite) {
+  var isConstructor = callSite.isConstructor();
+  // wrapCallSite() makes mapped wasm frames toplevel
+  var isToplevel = (mappedFrame.mapped && isWasmUrl(mappedFrame.generatedSource)) || callSite.isToplevel();
+  var isMethodCall = !(isToplevel || isConstructor);
+  var isEval = callSite.isEval();
+  var evalOrigin = isEval ? callSite.getEvalOrigin() || null : null;
+  // and maps the eval origin of frames without a source
+  if (evalOrigin && !mappedFrame.isNative && !mappedFrame.generatedSource) {
+    evalOrigin = mapEvalOrigin(evalOrigin);
+  }
+  mappedFrame.typeName = isMethodCall ? callSite.getTypeName() || null : null;
+  mappedFrame.methodName = isMethodCall ? callSite.getMethodName() || null : null;
+  mappedFrame.evalOrigin = evalOrigin;
+  mappedFrame.isAsync = callSite.isAsync ? callSite.isAsync() : false;
+  mappedFrame.isEval = isEval;
+  mappedFrame.isConstructor = isConstructor;
+  mappedFrame.isToplevel = isToplevel;
+}
+
+// Add the details left out by createMappedFrame() to the frames of a stack,
+// from the CallSites kept alongside them
+function completeMappedFrames(mappedFrames) {
+  var callSites = mappedFrames.callSites;
+  if (!callSites) return mappedFrames;
+  delete mappedFrames.callSites;
+  mappedFrames.forEach(function(mappedFrame, i) {
+    addMappedFrameDetails(mappedFrame, callSites[i]);
+  });
+  return mappedFrames;
+}
+
+// #region Stack text
+// Remap stack traces which were formatted without the hook: captured before
+// install(), in another process, read from a log, or produced by an engine
+// other than V8.  Mirrors wrapCallSite(), including taking function names
+// from the caller's mapped position.  Besides V8's "    at name (location)",
+// frames may be in the "name@location" format of SpiderMonkey and
+// JavaScriptCore.  Lines which are not frames, or whose location cannot be
+// parsed, are kept.
+function remapStack(stack) {
+  if (sharedData.emptyCacheBetweenOperations) {
+    clearCaches();
+  }
+  var lines = String(stack).split('\n');
+  var nextPosition = null;
+  for (var i = lines.length - 1; i >= 0; i--) {
+    var frame = parseStackLine(lines[i]);
+    if (!frame) {
+      // Another error's stack, or the message of this one
+      nextPosition = null;
+      continue;
+    }
+    var position = null;
+    var location = frame.location;
+    var evalMatch = /^(eval at .*\)), (.*)$/.exec(location);
+    if (evalMatch) {
+      location = mapEvalOrigin(evalMatch[1]) + ', ' + evalMatch[2];
+    } else {
+      var locationMatch = /^(.+):(\d+):(\d+)$/.exec(location);
+      // SpiderMonkey locates eval'd code as "file.js line 2 > eval:1:1"
+      if (locationMatch && !/ line \d+ > /.test(locationMatch[1])) {
+        position = mapSourcePosition({
+          source: locationMatch[1],
+          line: +locationMatch[2],
+          column: locationMatch[3] - 1
+        });
+        location = position.source + ':' + position.line + ':' + (position.column + 1);
+      }
+    }
+    var name = frame.name;
+    if (position && nextPosition && nextPosition.name) {
+      name = frame.format(name, nextPosition.name);
+    }
+    lines[i] = frame.toString(name, location);
+    // Like state.curPosition in wrapCallSite(), which eval frames leave alone
+    if (position || location === 'native' || location === '[native code]') {
+      nextPosition = position;
+    }
+  }
+  return lines.join('\n');
+}
+
+// Parse one line of a stack trace into the function name and location of its
+// frame, or null if it is not a frame
+function parseStackLine(line) {
+  var match = /^(\s*at )(.*?)(\r?)$/.exec(line);
+  if (match) {
+    var frame = parseStackFrameText(match[2]);
+    var prefix = match[1];
+    var suffix = match[3];
+    return {
+      name: frame.name,
+      location: frame.location,
+      format: renameStackFrameFunction,
+      toString: function(name, location) {
+        return prefix + (name ? name + ' (' + location + ')' : location) + suffix;
+      }
+    };
+  }
+  // Locations are URLs or paths ending in a position, or "[native code]",
+  // as in "f/<@file.js:1:1" or "forEach@[native code]"
+  match = /^(\s*)([^@]*)@(.*?:\d+:\d+|\[native code\])(\r?)$/.exec(line);
+  if (match) {
+    var indent = match[1];
+    var lineEnd = match[4];
+    return {
+      name: match[2],
+      location: match[3],
+      format: renameGeckoStackFrameFunction,
+      toString: function(name, location) {
+        return indent + name + '@' + location + lineEnd;
+      }
+    };
+  }
+  return null;
+}
+
+// Split the text after "at " into the function name, if any, and the
+// location, which may itself contain parentheses, as in
+// "eval (eval at f (file.js:1:2), <anonymous>:1:1)"
+function parseStackFrameText(text) {
+  if (text.charAt(text.length - 1) === ')') {
+    var depth = 0;
+    for (var i = text.length - 1; i > 0; i--) {
+      var c = text.charAt(i);
+      if (c === ')') depth++;
+      else if (c === '(' && --depth === 0) break;
+    }
+    if (i > 0 && text.charAt(i - 1) === ' ') {
+      return { name: text.slice(0, i - 1), location: text.slice(i + 1, -1) };
+    }
+  }
+  return { name: null, location: text };
+}
+
+// Replace the function name in "async new Type.name [as method]", keeping
+// everything around it
+function renameStackFrameFunction(text, name) {
+  if (!text) return name;
+  var match = /^(async )?(new )?(.*?)( \[as [^\]]*\])?$/.exec(text);
+  var qualifiedName = match[3];
+  var dot = qualifiedName.lastIndexOf('.');
+  return (match[1] || '') + (match[2] || '') +
+    (dot > 0 && !match[2] ? qualifiedName.slice(0, dot + 1) : '') + name + (match[4] || '');
+}
+
+// Replace the function name in SpiderMonkey's "async*name", keeping the
+// description of the asynchronous cause
+function renameGeckoStackFrameFunction(text, name) {
+  return text.replace(/[^*]*$/, name);
+}
+// #endregion Stack text
+
 var kIsNodeError = undefined;
 try {
   // Get a deliberate ERR_INVALID_ARG_TYPE
@@ -667,49 +2358,325 @@ function createPrepareStackTrace(hookState) {
 
     var state = { nextPosition: null, curPosition: null };
     var processedStack = [];
+    var mappedFrames = [];
     for (var i = stack.length - 1; i >= 0; i--) {
-      processedStack.push('\n    at ' + wrapCallSite(stack[i], state));
+      var frame = wrapCallSite(stack[i], state);
+      processedStack.push('\n    at ' + frame);
+      mappedFrames.push(createMappedFrame(stack[i], frame, state.curPosition));
       state.nextPosition = state.curPosition;
     }
     state.curPosition = state.nextPosition = null;
-    return errorString + processedStack.reverse().join('');
+    mappedFrames.reverse();
+    // The CallSites of the stack, for completeMappedFrames()
+    if (!sharedData.hideFrames) mappedFrames.callSites = stack;
+    if (error !== null && typeof error === 'object') {
+      sharedData.mappedFramesCache.set(error, mappedFrames);
+    }
+    return errorString + filterFormattedFrames(processedStack.reverse(), mappedFrames).join('');
+  }
+}
+
+// Leave out the frames hidden by the hideFrames option, noting how many were
+// left out, then drop, collapse or tag the ignore-listed ones
+function filterFormattedFrames(lines, mappedFrames) {
+  var hidden = 0;
+  if (sharedData.hideFrames) {
+    var keptLines = [];
+    var keptFrames = [];
+    for (var i = 0; i < lines.length; i++) {
+      if (isFrameHidden(mappedFrames[i])) {
+        hidden++;
+      } else {
+        keptLines.push(lines[i]);
+        keptFrames.push(mappedFrames[i]);
+      }
+    }
+    lines = keptLines;
+    mappedFrames = keptFrames;
+  }
+  lines = applyIgnoreListedFrames(lines, mappedFrames);
+  if (hidden) {
+    lines.push('\n    ... ' + hidden + (hidden === 1 ? ' hidden frame' : ' hidden frames'));
+  }
+  return lines;
+}
+
+var reNodeInternal = /^(?:node:|internal[\\/])/;
+var reNodeModules = /[\\/]node_modules[\\/]/;
+// Helpers which TypeScript and Babel emit when downleveling async functions
+var reAsyncWrapperName = /^(?:__awaiter|__generator|step|fulfilled|rejected|asyncGeneratorStep|_asyncToGenerator|_next|_throw)$/;
+
+function isFrameHidden(frame) {
+  var options = sharedData.hideFrames;
+  if (options.nodeInternals && reNodeInternal.test(frame.generatedSource || '')) {
+    return true;
+  }
+  if (options.nodeModules && (reNodeModules.test(frame.source || '') || reNodeModules.test(frame.generatedSource || ''))) {
+    return true;
+  }
+  // Only unmapped frames can be helpers emitted by a compiler; mapped ones,
+  // whatever their names, are in original sources
+  if (options.asyncWrappers && ((!frame.mapped && reAsyncWrapperName.test(frame.functionName || '')) ||
+    // Native frames such as "at Generator.next (<anonymous>)" and "at new Promise (<anonymous>)"
+    (!frame.generatedSource && (frame.typeName === 'Generator' || (frame.isConstructor && frame.functionName === 'Promise'))))) {
+    return true;
   }
+  return !!options.predicates && options.predicates.some(function(predicate) {
+    try {
+      return predicate(Object.assign({}, frame));
+    } catch (e) {
+      // A broken predicate must not break stack traces
+      return false;
+    }
+  });
+}
+
+// Drop, collapse or tag the formatted frames whose original source is ignore-listed
+function applyIgnoreListedFrames(lines, mappedFrames) {
+  var mode = sharedData.ignoreListedFrames;
+  if (mode !== 'drop' && mode !== 'collapse' && mode !== 'tag') return lines;
+  var result = [];
+  var collapsed = 0;
+  function flushCollapsed() {
+    if (collapsed) {
+      result.push('\n    ... ' + collapsed + (collapsed === 1 ? ' ignore-listed frame' : ' ignore-listed frames'));
+      collapsed = 0;
+    }
+  }
+  for (var i = 0; i < lines.length; i++) {
+    if (!mappedFrames[i].ignoreListed) {
+      flushCollapsed();
+      result.push(lines[i]);
+    } else if (mode === 'tag') {
+      result.push(lines[i] + ' [ignore-listed]');
+    } else if (mode === 'collapse') {
+      collapsed++;
+    }
+  }
+  flushCollapsed();
+  return result;
 }
 
 // Generate position and snippet of original source with pointer
-function getErrorSource(error) {
-  var match = /\n    at [^(]+ \((.*):(\d+):(\d+)\)/.exec(error.stack);
-  if (match) {
-    var source = match[1];
-    var line = +match[2];
-    var column = +match[3];
+function getErrorSource(error, options) {
+  options = options || {};
+  var frame = getErrorSourceFrame(error, options.frame);
+  if (!frame) return null;
 
-    // Support the inline sourceContents inside the source map
-    var contents = getFileContentsCache(source);
+  receiveEsmLoaderSources();
 
-    const sourceAsPath = tryFileURLToPath(source);
+  // Support the inline sourceContents inside the source map
+  var contents = getFileContentsCache(frame.source) || retrieveRegisteredFile(frame.source);
 
-    // Support files on disk
-    if (!contents && fs && fs.existsSync(sourceAsPath)) {
-      try {
-        contents = fs.readFileSync(sourceAsPath, 'utf8');
-      } catch (er) {
-        contents = '';
-      }
+  const sourceAsPath = tryFileURLToPath(frame.source);
+
+  // Support files on disk
+  if (!contents && fs && fs.existsSync(sourceAsPath)) {
+    try {
+      contents = fs.readFileSync(sourceAsPath, 'utf8');
+    } catch (er) {
+      contents = '';
+    }
+  }
+  if (!contents) return null;
+
+  // Format the line from the original source code like node does, optionally
+  // with surrounding lines and a gutter of line numbers
+  var lines = contents.split(/(?:\r\n|\r|\n)/);
+  var code = lines[frame.line - 1];
+  if (!code) return null;
+  var first = Math.max(1, frame.line - (options.linesAbove || 0));
+  var last = Math.min(lines.length, frame.line + (options.linesBelow || 0));
+  var gutterWidth = String(last).length;
+  function gutter(lineNumber) {
+    if (!options.gutter) return '';
+    var label = lineNumber ? String(lineNumber) : '';
+    return (lineNumber === frame.line ? '> ' : '  ') +
+      new Array(gutterWidth - label.length + 1).join(' ') + label + ' | ';
+  }
+
+  var column = frame.column || 1;
+  var pointer = getCaretPadding(code.slice(0, column - 1)) + '^';
+  if (options.underline) {
+    var endColumn = getMappedSegmentEnd(frame);
+    if (endColumn !== null) {
+      pointer += new Array(getStringWidth(code.slice(column - 1, endColumn))).join('~');
     }
+  }
 
-    // Format the line from the original source code like node does
-    if (contents) {
-      var code = contents.split(/(?:\r\n|\r|\n)/)[line - 1];
-      if (code) {
-        return source + ':' + line + '\n' + code + '\n' +
-          new Array(column).join(' ') + '^';
-      }
+  var result = [frame.source + ':' + frame.line];
+  for (var i = first; i <= last; i++) {
+    result.push(gutter(i) + lines[i - 1]);
+    if (i === frame.line) {
+      result.push(gutter(null) + pointer);
+    }
+  }
+  return result.join('\n');
+}
+
+// The frame of error to show the source of: the frame at index, or else the
+// first one which is printed in the stack and has a position
+function getErrorSourceFrame(error, index) {
+  var frames = getMappedFrames(error);
+  if (!frames) {
+    // Stack not prepared by an installed hook; parse it
+    frames = [];
+    var reFrame = /^ {4}at (?:.* \()?(.+):(\d+):(\d+)\)?$/gm;
+    var match;
+    while ((match = reFrame.exec(error.stack))) {
+      frames.push({ source: match[1], line: +match[2], column: +match[3], mapped: false });
+    }
+    return frames[index || 0] || null;
+  }
+  if (index != null) {
+    var frame = frames[index];
+    return frame && frame.source && frame.line ? frame : null;
+  }
+  for (var i = 0; i < frames.length; i++) {
+    if (frames[i].source && frames[i].line && isFramePrinted(frames[i])) {
+      return frames[i];
     }
   }
   return null;
 }
 
+function isFramePrinted(frame) {
+  if (sharedData.hideFrames && isFrameHidden(frame)) {
+    return false;
+  }
+  return !(frame.ignoreListed &&
+    (sharedData.ignoreListedFrames === 'drop' || sharedData.ignoreListedFrames === 'collapse'));
+}
+
+// Original column (0-based) of the mapping following the one a mapped frame
+// was mapped with, if that mapping is on the same original line
+function getMappedSegmentEnd(frame) {
+  if (!frame.mapped) return null;
+  var key = getCacheKey(frame.generatedSource);
+  var registration = findRegisteredSourceMap(key, frame.generatedLine);
+  var sourceMap = registration ? registration.sourceMap : cacheGet('sourceMapCache', key);
+  if (!sourceMap) {
+    // Evicted, or emptyCacheBetweenOperations is set
+    mapSourcePosition({ source: frame.generatedSource, line: frame.generatedLine, column: frame.generatedColumn - 1 });
+    sourceMap = cacheGet('sourceMapCache', key);
+  }
+  if (!sourceMap || !sourceMap.map) return null;
+  var line = frame.generatedLine - (registration ? registration.lineOffset : 0);
+  var segments = decodedMappings(sourceMap.map)[line - 1] || [];
+  var i = segments.length - 1;
+  while (i >= 0 && segments[i][0] > frame.generatedColumn - 1) i--;
+  var segment = segments[i];
+  var next = segments[i + 1];
+  if (!segment || !next || segment.length < 4 || next.length < 4 ||
+    next[1] !== segment[1] || next[2] !== segment[2] || next[3] <= segment[3]) {
+    return null;
+  }
+  return next[3];
+}
+
+// #region Text width
+// Padding that lines up a caret under the character following text.  Tabs are
+// kept so the terminal expands them identically, and wide characters such as
+// CJK and emoji take two columns.
+function getCaretPadding(text) {
+  return splitGraphemes(text).map(function(grapheme) {
+    return grapheme === '\t' ? '\t' : new Array(getGraphemeWidth(grapheme) + 1).join(' ');
+  }).join('');
+}
+function getStringWidth(text) {
+  return splitGraphemes(text).reduce(function(width, grapheme) {
+    return width + getGraphemeWidth(grapheme);
+  }, 0);
+}
+
+var graphemeSegmenter = typeof Intl === 'object' && Intl.Segmenter ?
+  new Intl.Segmenter(undefined, { granularity: 'grapheme' }) : null;
+function splitGraphemes(text) {
+  if (!graphemeSegmenter) return Array.from(text);
+  var graphemes = [];
+  for (var segment of graphemeSegmenter.segment(text)) {
+    graphemes.push(segment.segment);
+  }
+  return graphemes;
+}
+
+function getGraphemeWidth(grapheme) {
+  var code = grapheme.codePointAt(0);
+  // Combining marks and zero width characters, when Intl.Segmenter is missing
+  if ((code >= 0x300 && code <= 0x36f) || (code >= 0x200b && code <= 0x200f) ||
+    (code >= 0x20d0 && code <= 0x20ff) || (code >= 0xfe00 && code <= 0xfe0f) ||
+    (code >= 0xfe20 && code <= 0xfe2f)) {
+    return 0;
+  }
+  return isFullWidthCodePoint(code) || grapheme.indexOf('\uFE0F') !== -1 ? 2 : 1;
+}
+
+// Same ranges as node's internal isFullWidthCodePoint()
+function isFullWidthCodePoint(code) {
+  return code >= 0x1100 && (
+    code <= 0x115f ||
+    code === 0x2329 || code === 0x232a ||
+    (code >= 0x2e80 && code <= 0x3247 && code !== 0x303f) ||
+    (code >= 0x3250 && code <= 0x4dbf) ||
+    (code >= 0x4e00 && code <= 0xa4c6) ||
+    (code >= 0xa960 && code <= 0xa97c) ||
+    (code >= 0xac00 && code <= 0xd7a3) ||
+    (code >= 0xf900 && code <= 0xfaff) ||
+    (code >= 0xfe10 && code <= 0xfe19) ||
+    (code >= 0xfe30 && code <= 0xfe6b) ||
+    (code >= 0xff01 && code <= 0xff60) ||
+    (code >= 0xffe0 && code <= 0xffe6) ||
+    (code >= 0x1b000 && code <= 0x1b001) ||
+    (code >= 0x1f200 && code <= 0x1f251) ||
+    (code >= 0x1f300 && code <= 0x1f64f) ||
+    (code >= 0x1f900 && code <= 0x1f9ff) ||
+    (code >= 0x20000 && code <= 0x3fffd)
+  );
+}
+// #endregion Text width
+
+// Structured equivalent of the frames in error.stack, or null if the stack was
+// not prepared by an installed hook.
+function getMappedFrames(error) {
+  if (error === null || typeof error !== 'object') return null;
+  // V8 formats the stack lazily, upon first access of the `stack` property
+  error.stack;
+  var frames = sharedData.mappedFramesCache.get(error);
+  return frames ? completeMappedFrames(frames).map(function(frame) { return Object.assign({}, frame); }) : null;
+}
+
+// Errors thrown in a worker reach the parent thread serialized, with the
+// stack the worker formatted.  Remap it in place, and those of the error's
+// causes and aggregated errors.
+function remapWorkerError(error, seen) {
+  if (error === null || typeof error !== 'object') return error;
+  seen = seen || [];
+  if (seen.indexOf(error) !== -1) return error;
+  seen.push(error);
+  var stack = getMappedStack(error);
+  if (stack !== null && stack !== error.stack) {
+    try {
+      // Deserialized errors have a read-only stack since node 22
+      Object.defineProperty(error, 'stack', { value: stack, writable: true, enumerable: false, configurable: true });
+    } catch (e) {}
+  }
+  remapWorkerError(error.cause, seen);
+  if (Array.isArray(error.errors)) {
+    error.errors.forEach(function(nested) { remapWorkerError(nested, seen); });
+  }
+  return error;
+}
+
+// The stack of an error with mapped locations, whether it was formatted by
+// the hook or by an engine without Error.prepareStackTrace
+function getMappedStack(error) {
+  if (error === null || typeof error !== 'object') return null;
+  var stack = error.stack;
+  if (typeof stack !== 'string') return null;
+  if (sharedData.mappedFramesCache.has(error)) return stack;
+  return remapStack(stack);
+}
+
 function printFatalErrorUponExit (error) {
   var source = getErrorSource(error);
 
@@ -723,20 +2690,128 @@ function printFatalErrorUponExit (error) {
   }
 
   // Matches node's behavior for colorized output
-  console.error(
-    util.inspect(error, {
-      customInspect: false,
-      colors: process.stderr.isTTY
-    })
-  );
+  var inspectOptions = {
+    customInspect: false,
+    colors: process.stderr.isTTY
+  };
+  console.error(isError(error) ? formatFatalError(error, inspectOptions) : util.inspect(error, inspectOptions));
+}
+
+// #region Fatal error formatting
+// Like util.inspect(error), including node's layout of `[cause]` and
+// `[errors]`, but with the original source printed above the stack of each
+// nested error, as it is for the error itself.
+function isError(value) {
+  return value instanceof Error || (!!util.types && util.types.isNativeError(value));
+}
+
+function formatFatalError(error, inspectOptions) {
+  var refs = new Map();
+  findCircularErrors(error, [], refs);
+  return formatFatalValue(error, [], refs, inspectOptions);
 }
 
-function shimEmitUncaughtException () {
+// The values under an error which are formatted as nested errors
+function getNestedErrorEntries(error) {
+  var entries = Object.keys(error).filter(function(key) {
+    // Like node, leave out properties which are already part of the stack
+    return !(key === 'stack' || key === 'message' || key === 'name') ||
+      typeof error[key] !== 'string' || String(error.stack).indexOf(error[key]) === -1;
+  }).map(function(key) {
+    return { label: key, value: error[key] };
+  });
+  if ('cause' in error && !Object.prototype.propertyIsEnumerable.call(error, 'cause')) {
+    entries.push({ label: '[cause]', value: error.cause });
+  }
+  if (Array.isArray(error.errors) && !Object.prototype.propertyIsEnumerable.call(error, 'errors')) {
+    entries.push({ label: '[errors]', value: error.errors });
+  }
+  return entries;
+}
+
+// Number the errors which are their own ancestors, as node does with <ref *1>
+function findCircularErrors(value, ancestors, refs) {
+  if (Array.isArray(value)) {
+    value.forEach(function(item) { findCircularErrors(item, ancestors, refs); });
+    return;
+  }
+  if (!isError(value)) return;
+  if (ancestors.indexOf(value) !== -1) {
+    if (!refs.has(value)) refs.set(value, refs.size + 1);
+    return;
+  }
+  ancestors.push(value);
+  getNestedErrorEntries(value).forEach(function(entry) {
+    findCircularErrors(entry.value, ancestors, refs);
+  });
+  ancestors.pop();
+}
+
+function formatFatalValue(value, ancestors, refs, inspectOptions) {
+  if (Array.isArray(value) && value.some(isError)) {
+    if (!value.length) return '[]';
+    return '[\n' + value.map(function(item) {
+      return indentLines(formatFatalValue(item, ancestors, refs, inspectOptions));
+    }).join(',\n') + '\n]';
+  }
+  if (!isError(value)) return util.inspect(value, inspectOptions);
+  if (ancestors.indexOf(value) !== -1) return '[Circular *' + refs.get(value) + ']';
+
+  // The top-level error's source is printed separately, before it
+  var source = ancestors.length ? getErrorSource(value) : null;
+  var result = (source ? source + '\n' : '') +
+    (refs.has(value) ? '<ref *' + refs.get(value) + '> ' : '') + getStackWithoutCauseFrames(value);
+  ancestors.push(value);
+  var entries = getNestedErrorEntries(value).map(function(entry) {
+    return entry.label + ': ' + formatFatalValue(entry.value, ancestors, refs, inspectOptions);
+  });
+  ancestors.pop();
+  if (entries.length) {
+    result += ' {\n' + entries.map(indentLines).join(',\n') + '\n}';
+  }
+  return result;
+}
+
+function indentLines(text) {
+  return '  ' + text.replace(/\n/g, '\n  ');
+}
+
+// Like node, replace the frames an error has in common with its cause by
+// "... N lines matching cause stack trace ..."
+function getStackWithoutCauseFrames(error) {
+  var stack = typeof error.stack === 'string' ? error.stack : ErrorPrototypeToString(error);
+  if (!isError(error.cause) || typeof error.cause.stack !== 'string') return stack;
+  var lines = stack.split('\n');
+  var firstFrame = lines.findIndex(function(line) { return /^\s+at /.test(line); });
+  if (firstFrame === -1) return stack;
+  var frames = lines.slice(firstFrame);
+  var causeFrames = error.cause.stack.split('\n').filter(function(line) { return /^\s+at /.test(line); });
+  for (var i = 0; i < frames.length - 3; i++) {
+    var position = causeFrames.indexOf(frames[i]);
+    if (position === -1 || causeFrames.length - position <= 3) continue;
+    var length = 1;
+    var maxLength = Math.min(frames.length - i, causeFrames.length - position);
+    while (length < maxLength && frames[i + length] === causeFrames[position + length]) length++;
+    if (length > 3) {
+      frames.splice(i + 1, length - 2, '    ... ' + (length - 2) + ' lines matching cause stack trace ...');
+      break;
+    }
+  }
+  return lines.slice(0, firstFrame).concat(frames).join('\n');
+}
+// #endregion Fatal error formatting
+
+/**
+ * @param {boolean} handleUncaughtExceptions
+ * @param {boolean} handleUnhandledRejections
+ */
+function shimEmitUncaughtException (handleUncaughtExceptions, handleUnhandledRejections) {
   const originalValue = process.emit;
   var hook = sharedData.processEmitHook = {
     enabled: true,
     originalValue,
-    installedValue: undefined
+    installedValue: undefined,
+    owner: instanceInfo
   };
   var isTerminatingDueToFatalException = false;
   var fatalException;
@@ -744,7 +2819,14 @@ function shimEmitUncaughtException () {
   process.emit = sharedData.processEmitHook.installedValue = function (type) {
     const hadListeners = originalValue.apply(this, arguments);
     if(hook.enabled) {
-      if (type === 'uncaughtException' && !hadListeners) {
+      // Under --unhandled-rejections=throw (the default since node 15) and
+      // =strict, node raises the rejections it deems fatal as uncaught
+      // exceptions, with an origin of 'unhandledRejection'; the origin lets
+      // handleUnhandledRejections decide about them apart from other
+      // uncaught exceptions.
+      var isRejection = arguments[2] === 'unhandledRejection';
+      if (type === 'uncaughtException' && !hadListeners &&
+        (isRejection ? handleUnhandledRejections : handleUncaughtExceptions)) {
         isTerminatingDueToFatalException = true;
         fatalException = arguments[1];
         process.exit(1);
@@ -757,12 +2839,214 @@ function shimEmitUncaughtException () {
   };
 }
 
+// Report the errors and rejections which reach the window uncaught, with
+// mapped stacks.  The browser still reports them itself.
+function shimWindowErrors(report) {
+  var hook = sharedData.windowErrorsHook = {
+    enabled: true,
+    originalValue: undefined,
+    installedValue: undefined,
+    owner: instanceInfo
+  };
+  function reportError(error) {
+    var stack = hook.enabled && getMappedStack(error);
+    if (!stack) return;
+    // Only V8 starts the stack with the error's name and message
+    var header = ErrorPrototypeToString(error);
+    if (stack.indexOf(header) !== 0) {
+      stack = header + '\n' + stack.replace(/\n$/, '');
+    }
+    report(stack, error);
+  }
+  hook.installedValue = {
+    error: function(event) { reportError(event.error); },
+    unhandledrejection: function(event) { reportError(event.reason); }
+  };
+  window.addEventListener('error', hook.installedValue.error);
+  window.addEventListener('unhandledrejection', hook.installedValue.unhandledrejection);
+}
+
+function reportWindowError(stack) {
+  console.error('Uncaught ' + stack);
+}
+
+// The register entry point which installs the way options do
+function getRegisterEntryPoint(options) {
+  return path.join(__dirname, options.hookRequire ? 'register-hook-require.js' :
+    options.hookEsmLoader ? 'register-hook-esm-loader.js' : 'register.js');
+}
+
+// Preload an entry point of this library in the workers started by this
+// thread, and remap the stacks of the errors sent back by those which could
+// not be preloaded
+function shimWorker(preloadPath) {
+  var worker_threads;
+  try {
+    worker_threads = dynamicRequire(module, 'worker_threads');
+  } catch (e) {
+    // Requires --experimental-worker before node 11.7
+    return;
+  }
+  var OriginalWorker = worker_threads.Worker;
+  var hook = sharedData.workerHook = {
+    enabled: true,
+    originalValue: OriginalWorker,
+    installedValue: undefined,
+    owner: instanceInfo
+  };
+  function withPreload(options, excludedFlags) {
+    options = Object.assign({}, options);
+    // Workers inherit the parent's execArgv only if none is given
+    var execArgv = options.execArgv || process.execArgv;
+    if (excludedFlags) {
+      execArgv = execArgv.filter(function(arg) { return excludedFlags.indexOf(arg) === -1; });
+    }
+    if (execArgv.indexOf(preloadPath) === -1) {
+      execArgv = execArgv.concat(['--require', preloadPath]);
+    }
+    options.execArgv = execArgv;
+    return options;
+  }
+  // Workers which could not be preloaded, whose stacks are left unmapped
+  var unpreloaded = new WeakSet();
+  hook.installedValue = class Worker extends OriginalWorker {
+    constructor(filename, options) {
+      var attempts = hook.enabled ? [withPreload(options, null), options] : [options];
+      for (var i = 0; ; i++) {
+        try {
+          super(filename, attempts[i]);
+          break;
+        } catch (e) {
+          if (i === attempts.length - 1 || !e || e.code !== 'ERR_WORKER_INVALID_EXEC_ARGV') throw e;
+          // V8 and process-wide flags inherited from process.execArgv, such
+          // as --max-old-space-size, cannot be passed to a worker, but apply
+          // to it anyway.  Failing that, start the worker as asked.
+          var invalid = /flags: (.*)$/.exec(e.message);
+          if (invalid && i === 0) attempts.splice(1, 0, withPreload(options, invalid[1].split(', ')));
+        }
+      }
+      if (attempts[i] === options) unpreloaded.add(this);
+    }
+    emit(type, error) {
+      // Stacks formatted in preloaded workers are mapped already, and mapping
+      // them again would follow the source maps of their original sources
+      if (type === 'error' && hook.enabled && unpreloaded.has(this)) remapWorkerError(error);
+      return super.emit.apply(this, arguments);
+    }
+  };
+  worker_threads.Worker = hook.installedValue;
+  syncBuiltinESMExports();
+}
+
+// Preload an entry point of this library in child processes, which inherit
+// NODE_OPTIONS through process.env unless spawned with an env of their own
+function shimNodeOptions(preloadPath) {
+  var originalValue = process.env.NODE_OPTIONS;
+  var hook = sharedData.nodeOptionsHook = {
+    enabled: true,
+    originalValue: originalValue,
+    installedValue: originalValue,
+    owner: instanceInfo
+  };
+  if (!isPreloadedByNodeOptions(originalValue || '', preloadPath)) {
+    hook.installedValue = (originalValue ? originalValue + ' ' : '') + getNodeOptionsPreload(preloadPath);
+    process.env.NODE_OPTIONS = hook.installedValue;
+  }
+}
+
+function getNodeOptionsPreload(preloadPath) {
+  // NODE_OPTIONS splits on whitespace, except within double quotes
+  return '--require ' + (/[\s"\\]/.test(preloadPath) ?
+    '"' + preloadPath.replace(/[\\"]/g, '\\$&') + '"' : preloadPath);
+}
+
+// Whether NODE_OPTIONS already requires the entry point, by its path or by a
+// request which resolves to it, as "-r @cspotcode/source-map-support/register"
+// does where this package is installed
+function isPreloadedByNodeOptions(nodeOptions, preloadPath) {
+  var args = (nodeOptions.match(/(?:[^\s"]|"(?:[^"\\]|\\.)*")+/g) || []).map(function(arg) {
+    return arg.replace(/"((?:[^"\\]|\\.)*)"/g, function(match, quoted) {
+      return quoted.replace(/\\(.)/g, '$1');
+    });
+  });
+  for (var i = 0; i < args.length; i++) {
+    var value = args[i] === '-r' || args[i] === '--require' ? args[++i] :
+      /^--require=/.test(args[i]) ? args[i].slice('--require='.length) : null;
+    if (value && (value === preloadPath || resolvePreloadRequest(value) === preloadPath)) return true;
+  }
+  return false;
+}
+
+// Resolve a --require request as node does for preloaded modules, from the
+// working directory.  The redirection of "source-map-support" to this package
+// is bypassed, as it does not apply before this package is loaded.
+function resolvePreloadRequest(request) {
+  try {
+    var Module = dynamicRequire(module, 'module');
+    var hook = sharedData.moduleResolveFilenameHook;
+    var resolveFilename = hook ? hook.originalValue : Module._resolveFilename;
+    var parent = new Module('internal/preload', null);
+    parent.paths = Module._nodeModulePaths(process.cwd());
+    return resolveFilename.call(Module, request, parent, false);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Update the named exports of node: modules imported from ESM
+function syncBuiltinESMExports() {
+  var Module = dynamicRequire(module, 'module');
+  if (typeof Module.syncBuiltinESMExports === 'function') Module.syncBuiltinESMExports();
+}
+
+// Register esm-loader.mjs, giving it a port to send us the source of every
+// module it loads.  Hooks registered with module.register() cannot be removed,
+// so this happens at most once per process.
+function registerEsmLoader(Module) {
+  if (sharedData.esmLoaderPort || typeof Module.register !== 'function') return;
+  var worker_threads = dynamicRequire(module, 'worker_threads');
+  var channel = new worker_threads.MessageChannel();
+  Module.register(pathToFileURL(path.join(__dirname, 'esm-loader.mjs')).toString(), {
+    data: { port: channel.port2 },
+    transferList: [channel.port2]
+  });
+  sharedData.esmLoaderPort = channel.port1;
+}
+
+// Messages are pulled synchronously rather than with a listener, because a
+// module can throw during evaluation before the event loop gets to them.
+var receiveMessageOnPort;
+function receiveEsmLoaderSources() {
+  var port = sharedData.esmLoaderPort;
+  if (!port) return;
+  if (!receiveMessageOnPort) {
+    receiveMessageOnPort = dynamicRequire(module, 'worker_threads').receiveMessageOnPort;
+  }
+  var received;
+  while (received = receiveMessageOnPort(port)) {
+    setFileContentsCache(received.message.url, received.message.source);
+    setSourceMapCache(received.message.url, undefined);
+  }
+}
+
 var originalRetrieveFileHandlers = sharedData.retrieveFileHandlers.slice(0);
 var originalRetrieveMapHandlers = sharedData.retrieveMapHandlers.slice(0);
 
 exports.wrapCallSite = wrapCallSite;
 exports.getErrorSource = getErrorSource;
+exports.remapStack = remapStack;
+exports.getMappedFrames = getMappedFrames;
+exports.getMappedStack = getMappedStack;
+exports.remapWorkerError = remapWorkerError;
+exports.prefetchSourceMaps = prefetchSourceMaps;
+exports.warmCache = warmCache;
+exports.getCacheStats = getCacheStats;
+exports.invalidate = invalidate;
 exports.mapSourcePosition = mapSourcePosition;
+exports.registerSourceMap = registerSourceMap;
+exports.explain = explain;
+exports.getDiagnostics = getDiagnostics;
+exports.unregisterSourceMap = unregisterSourceMap;
 exports.retrieveSourceMap = retrieveSourceMap;
 
 exports.install = function(options) {
@@ -788,6 +3072,7 @@ exports.install = function(options) {
         enabled: true,
         originalValue,
         installedValue: undefined,
+        owner: instanceInfo,
       }
       Module._resolveFilename = sharedData.moduleResolveFilenameHook.installedValue = function (request, parent, isMain, options) {
         if (moduleResolveFilenameHook.enabled) {
@@ -851,20 +3136,128 @@ exports.install = function(options) {
     }
   }
 
+  // Start loading the source map of each module as it is compiled
+  if (options.prefetchOnLoad && !isInBrowser()) {
+    var $compileForPrefetch = Module.prototype._compile;
+
+    if (!$compileForPrefetch.__sourceMapSupportPrefetch) {
+      Module.prototype._compile = function(content, filename) {
+        prefetchSourceMap(filename, content);
+        return $compileForPrefetch.call(this, content, filename);
+      };
+
+      Module.prototype._compile.__sourceMapSupportPrefetch = true;
+    }
+  }
+
+  // Support source maps referenced by custom sections of WebAssembly modules
+  if (options.hookWebAssembly && !sharedData.webAssemblyHook && typeof WebAssembly === 'object') {
+    shimWebAssembly();
+  }
+
+  // Browsers other than Chrome have no Error.prepareStackTrace, so stacks of
+  // uncaught errors can only be remapped after the fact
+  if (options.reportWindowErrors && !sharedData.windowErrorsHook &&
+    typeof window === 'object' && window && typeof window.addEventListener === 'function') {
+    shimWindowErrors(typeof options.reportWindowErrors === 'function' ?
+      options.reportWindowErrors : reportWindowError);
+  }
+
+  // Preload the register entry point matching hookRequire or hookEsmLoader in
+  // the worker threads and child processes started from now on.  Workers only
+  // read NODE_OPTIONS from an env given to them explicitly.
+  if ((options.hookWorkers || options.hookChildProcesses) && !sharedData.workerHook && !isInBrowser()) {
+    shimWorker(getRegisterEntryPoint(options));
+  }
+  if (options.hookChildProcesses && !sharedData.nodeOptionsHook && !isInBrowser() &&
+    typeof process === 'object' && process && process.env) {
+    shimNodeOptions(getRegisterEntryPoint(options));
+  }
+
+  // Same as hookRequire, for sources transformed by ESM loader hooks
+  if (options.hookEsmLoader && !isInBrowser()) {
+    registerEsmLoader(Module);
+  }
+
   // Configure options
+  if (options.cacheLimits) {
+    ['fileContentsCache', 'sourceMapCache'].forEach(function(name) {
+      var limits = options.cacheLimits[name === 'fileContentsCache' ? 'fileContents' : 'sourceMaps'] || {};
+      sharedData.cacheLimits[name] = {
+        maxEntries: limits.maxEntries != null ? limits.maxEntries : Infinity,
+        maxBytes: limits.maxBytes != null ? limits.maxBytes : Infinity
+      };
+    });
+  }
+  if ('revalidateCache' in options) {
+    sharedData.revalidateCache = !!options.revalidateCache;
+  }
+  if ('sidecarSourceMaps' in options) {
+    sharedData.sidecarSourceMaps = validateSidecarLocations(options.sidecarSourceMaps);
+  }
+  if ('debugIdDirs' in options) {
+    sharedData.debugIdDirs = (options.debugIdDirs || []).map(function(dir) {
+      return path.resolve(dir);
+    });
+  }
+  if ('pathRewrites' in options) {
+    var pathRewrites = options.pathRewrites || {};
+    sharedData.pathRewrites = {
+      generated: validatePathRewrites(pathRewrites.generated, 'pathRewrites.generated'),
+      sources: validatePathRewrites(pathRewrites.sources, 'pathRewrites.sources')
+    };
+  }
+  if ('transitiveSourceMaps' in options) {
+    var transitive = options.transitiveSourceMaps;
+    sharedData.maxSourceMapDepth = !transitive ? 1 :
+      transitive.maxDepth != null ? transitive.maxDepth : defaultMaxSourceMapDepth;
+  }
+  if ('hideFrames' in options) {
+    sharedData.hideFrames = options.hideFrames || null;
+  }
+  if ('ignoreListedFrames' in options) {
+    sharedData.ignoreListedFrames = options.ignoreListedFrames || 'show';
+  }
+  if ('persistentCacheDir' in options) {
+    sharedData.persistentCacheDir = options.persistentCacheDir ? path.resolve(options.persistentCacheDir) : null;
+  }
+  if (options.persistentCacheLimits) {
+    sharedData.persistentCacheLimits = {
+      maxBytes: options.persistentCacheLimits.maxBytes != null ? options.persistentCacheLimits.maxBytes : 100e6,
+      maxAge: options.persistentCacheLimits.maxAge != null ? options.persistentCacheLimits.maxAge : 7 * 24 * 60 * 60 * 1000
+    };
+  }
+  if (options.nodeSourceMaps) {
+    if (['reuse', 'defer', 'ignore'].indexOf(options.nodeSourceMaps) === -1) {
+      throw new Error("nodeSourceMaps " + options.nodeSourceMaps + " was unknown. Available options are {reuse, defer, ignore}");
+    }
+    sharedData.nodeSourceMaps = options.nodeSourceMaps;
+  }
+  if ('debug' in options) {
+    sharedData.debug = options.debug || false;
+  }
+  if ('retainSourcesContent' in options) {
+    sharedData.retainSourcesContent = options.retainSourcesContent !== false;
+  }
   if (!sharedData.emptyCacheBetweenOperations) {
     sharedData.emptyCacheBetweenOperations = 'emptyCacheBetweenOperations' in options ?
       options.emptyCacheBetweenOperations : false;
   }
 
 
+  // Node maps stack traces itself, and prints the source of uncaught exceptions
+  if (sharedData.nodeSourceMaps === 'defer' && !isInBrowser() && isNodeSourceMapsEnabled()) {
+    return;
+  }
+
   // Install the error reformatter
   if (!sharedData.errorPrepareStackTraceHook) {
     const originalValue = Error.prepareStackTrace;
     sharedData.errorPrepareStackTraceHook = {
       enabled: true,
       originalValue,
-      installedValue: undefined
+      installedValue: undefined,
+      owner: instanceInfo
     };
     Error.prepareStackTrace = sharedData.errorPrepareStackTraceHook.installedValue = createPrepareStackTrace(sharedData.errorPrepareStackTraceHook);
   }
@@ -872,6 +3265,8 @@ exports.install = function(options) {
   if (!sharedData.processEmitHook) {
     var installHandler = 'handleUncaughtExceptions' in options ?
       options.handleUncaughtExceptions : true;
+    var handleRejections = 'handleUnhandledRejections' in options ?
+      options.handleUnhandledRejections : installHandler;
 
     // Do not override 'uncaughtException' with our own handler in Node.js
     // Worker threads. Workers pass the error to the main thread as an event,
@@ -880,7 +3275,7 @@ exports.install = function(options) {
       // We need to use `dynamicRequire` because `require` on it's own will be optimized by WebPack/Browserify.
       var worker_threads = dynamicRequire(module, 'worker_threads');
       if (worker_threads.isMainThread === false) {
-        installHandler = false;
+        installHandler = handleRejections = false;
       }
     } catch(e) {}
 
@@ -891,8 +3286,8 @@ exports.install = function(options) {
     // exception handler and the process will still be terminated. However, the
     // generated JavaScript code will be shown above the stack trace instead of
     // the original source code.
-    if (installHandler && hasGlobalProcessEventEmitter()) {
-      shimEmitUncaughtException();
+    if ((installHandler || handleRejections) && hasGlobalProcessEventEmitter()) {
+      shimEmitUncaughtException(!!installHandler, !!handleRejections);
     }
   }
 };
@@ -929,6 +3324,59 @@ exports.uninstall = function() {
     }
     sharedData.moduleResolveFilenameHook = undefined;
   }
+  if (sharedData.webAssemblyHook) {
+    // Disable behavior
+    sharedData.webAssemblyHook.enabled = false;
+    // If possible, remove our hook functions.  May not be possible if subsequent third-party hooks have wrapped around us.
+    var webAssemblyHook = sharedData.webAssemblyHook;
+    Object.keys(webAssemblyHook.installedValue).forEach(function(name) {
+      if (WebAssembly[name] === webAssemblyHook.installedValue[name]) {
+        WebAssembly[name] = webAssemblyHook.originalValue[name];
+      }
+    });
+    sharedData.webAssemblyHook = undefined;
+  }
+  if (sharedData.workerHook) {
+    // Disable behavior
+    sharedData.workerHook.enabled = false;
+    // If possible, remove our hook class.  May not be possible if subsequent third-party hooks have wrapped around us.
+    var worker_threads = dynamicRequire(module, 'worker_threads');
+    if (worker_threads.Worker === sharedData.workerHook.installedValue) {
+      worker_threads.Worker = sharedData.workerHook.originalValue;
+      syncBuiltinESMExports();
+    }
+    sharedData.workerHook = undefined;
+  }
+  if (sharedData.nodeOptionsHook) {
+    var nodeOptionsHook = sharedData.nodeOptionsHook;
+    // Restore the previous value, or if NODE_OPTIONS was changed since, only
+    // remove what we added to it
+    if (process.env.NODE_OPTIONS === nodeOptionsHook.installedValue) {
+      if (nodeOptionsHook.originalValue === undefined) {
+        delete process.env.NODE_OPTIONS;
+      } else {
+        process.env.NODE_OPTIONS = nodeOptionsHook.originalValue;
+      }
+    } else if (nodeOptionsHook.installedValue !== nodeOptionsHook.originalValue && process.env.NODE_OPTIONS) {
+      var nodeOptions = process.env.NODE_OPTIONS;
+      var added = nodeOptionsHook.installedValue.slice((nodeOptionsHook.originalValue || '').length).trim();
+      var index = nodeOptions.indexOf(added);
+      if (index !== -1) {
+        process.env.NODE_OPTIONS = (nodeOptions.slice(0, index).replace(/\s+$/, '') + ' ' +
+          nodeOptions.slice(index + added.length).replace(/^\s+/, '')).trim();
+      }
+    }
+    sharedData.nodeOptionsHook = undefined;
+  }
+  if (sharedData.windowErrorsHook) {
+    // Disable behavior
+    sharedData.windowErrorsHook.enabled = false;
+    var windowErrorsHook = sharedData.windowErrorsHook;
+    Object.keys(windowErrorsHook.installedValue).forEach(function(type) {
+      window.removeEventListener(type, windowErrorsHook.installedValue[type]);
+    });
+    sharedData.windowErrorsHook = undefined;
+  }
   sharedData.onConflictingLibraryRedirectArr.length = 0;
 }
 
@@ -86,7 +86,7 @@ beforeEach(function() {
 afterEach(function() {
   for(const name of [`generated`, `generated2`, `original`, `original2`]) {
     for(const suffix of [``, `-separate`, `-inline`]) {
-      for(const ext of [`js`, `cjs`, `mjs`]) {
+      for(const ext of [`js`, `cjs`, `mjs`, `wasm`]) {
         for(const ext2 of [``, `.map`, `.map.extra`]) {
           const file = `.${name}-${id}${suffix}.${ext}${ext2}`;
           fs.existsSync(file) && fs.unlinkSync(file);
@@ -96,6 +96,20 @@ afterEach(function() {
   }
 });
 
+// fs.rmSync() needs node 14.14
+function removeDirectory(dir) {
+  if (!fs.existsSync(dir)) return;
+  for (const name of fs.readdirSync(dir)) {
+    const child = path.join(dir, name);
+    if (fs.lstatSync(child).isDirectory()) {
+      removeDirectory(child);
+    } else {
+      fs.unlinkSync(child);
+    }
+  }
+  fs.rmdirSync(dir);
+}
+
 function compareLines(actual, expected) {
   assert(actual.length >= expected.length, 'got ' + actual.length + ' lines but expected at least ' + expected.length + ' lines\n' + util.inspect({actual, expected}));
   for (var i = 0; i < expected.length; i++) {
@@ -108,6 +122,22 @@ function compareLines(actual, expected) {
   }
 }
 
+// Maps the start of a generated file, by default .generated-${id}.js
+function mapFirstLine(source = path.resolve(`.generated-${id}.js`)) {
+  return underTest.mapSourcePosition({ source, line: 1, column: 0 });
+}
+
+// Writes a source map for .generated-${id}.js mapping its first line to originalName
+function writeSourceMap(originalName) {
+  const sourceMap = sourceMapCreators().createEmptySourceMap();
+  sourceMap.addMapping({
+    generated: { line: 1, column: 0 },
+    original: { line: 1, column: 0 },
+    source: originalName
+  });
+  fs.writeFileSync(`.generated-${id}.js.map`, sourceMap.toString());
+}
+
 function sourceMapCreators() {
   return {
     createEmptySourceMap,
@@ -647,6 +677,52 @@ it('maps original name from source', async function() {
   ]);
 });
 
+it('getMappedFrames', async function() {
+  var sourceMap = createEmptySourceMap();
+  sourceMap.addMapping({
+    generated: { line: 2, column: 8 },
+    original: { line: 1000, column: 10 },
+    source: `.original-${id}.js`,
+  });
+  sourceMap.addMapping({
+    generated: { line: 4, column: 0 },
+    original: { line: 1002, column: 1 },
+    source: `.original-${id}.js`,
+    name: "myOriginalName"
+  });
+  fs.writeFileSync(`.generated-${id}.${extension}.map`, sourceMap.toString());
+  fs.writeFileSync(`.generated-${id}.${extension}`, `${srcPrefix()}${namedExportDeclaration()} = function() {` + [
+    'function foo() {',
+    '  throw new Error("test");',
+    '}',
+    'foo();'
+  ].join('\n') + `};//@ sourceMappingURL=.generated-${id}.${extension}.map`);
+  let error;
+  try {
+    (await import(`./.generated-${id}.${extension}`)).test();
+  } catch (e) {
+    error = e;
+  }
+  const frames = underTest.getMappedFrames(error);
+  assert(frames, 'expected frames to be recorded');
+  assert.strictEqual(frames.length, error.stack.split('\n').length - 1);
+  const [top, second] = frames;
+  assert.match(top.source, re`${stackFramePathStartsWith()}(?:.*[/\\])?\.original-${id}\.js$`);
+  assert.strictEqual(top.line, 1000);
+  assert.strictEqual(top.column, 11);
+  assert.match(top.generatedSource, re`\.generated-${id}\.${extension}$`);
+  assert.strictEqual(top.generatedLine, 2);
+  assert.strictEqual(top.generatedColumn, 9);
+  assert.strictEqual(top.mapped, true);
+  assert.strictEqual(top.functionName, 'myOriginalName');
+  assert.strictEqual(top.isNative, false);
+  assert.strictEqual(top.isConstructor, false);
+  assert.strictEqual(second.line, 1002);
+  assert.strictEqual(second.name, 'myOriginalName');
+  assert.strictEqual(underTest.getMappedFrames(new Error('test')).length >= 1, true);
+  assert.strictEqual(underTest.getMappedFrames({}), null);
+});
+
 it('default options', function(done) {
   compareStdout(done, createSecondLineSourceMap(), [
     '',
@@ -695,6 +771,100 @@ it('handleUncaughtExceptions is false', function(done) {
   ]);
 });
 
+it('prints the source of each error in a cause chain', function(done) {
+  // new Error(message, { cause }) needs node 16.9
+  if (semver.lt(process.versions.node, '16.9.0')) return this.skip();
+  compareStdout(done, createSecondLineSourceMap(), [
+    '',
+    'function fail() { var inner = new Error("inner"); var outer = new Error("outer", { cause: inner }); inner.cause = outer; throw outer; }',
+    'require("./source-map-support").install(); Error.stackTraceLimit = 1;',
+    'process.nextTick(fail);'
+  ], [
+    re`${stackFramePathStartsWith()}(?:.*[/\\])?\.original-${id}\.js:1$`,
+    'this is the original code',
+    '^',
+    '<ref *1> Error: outer',
+    re`^    at fail \(${stackFramePathStartsWith()}(?:.*[/\\])?\.original-${id}\.js:1:1\) \{$`,
+    re`^  \[cause\]: ${stackFramePathStartsWith()}(?:.*[/\\])?\.original-${id}\.js:1$`,
+    '  this is the original code',
+    '  ^',
+    '  Error: inner',
+    re`^      at fail \(${stackFramePathStartsWith()}(?:.*[/\\])?\.original-${id}\.js:1:1\) \{$`,
+    '    cause: [Circular *1]',
+    '  }',
+    '}'
+  ]);
+});
+
+it('prints the source of each AggregateError member', function(done) {
+  if (semver.lt(process.versions.node, '16.9.0')) return this.skip();
+  compareStdout(done, createSecondLineSourceMap(), [
+    '',
+    'function fail() { throw new AggregateError([new Error("a")], "agg"); }',
+    'require("./source-map-support").install(); Error.stackTraceLimit = 1;',
+    'process.nextTick(fail);'
+  ], [
+    re`${stackFramePathStartsWith()}(?:.*[/\\])?\.original-${id}\.js:1$`,
+    'this is the original code',
+    '^',
+    'AggregateError: agg',
+    re`^    at fail \(${stackFramePathStartsWith()}(?:.*[/\\])?\.original-${id}\.js:1:1\) \{$`,
+    '  [errors]: [',
+    re`^    ${stackFramePathStartsWith()}(?:.*[/\\])?\.original-${id}\.js:1$`,
+    '    this is the original code',
+    '    ^',
+    '    Error: a',
+    re`^        at fail \(${stackFramePathStartsWith()}(?:.*[/\\])?\.original-${id}\.js:1:1\)$`,
+    '  ]',
+    '}'
+  ]);
+});
+
+it('handleUnhandledRejections without handleUncaughtExceptions', function(done) {
+  // Unhandled rejections are fatal by default since node 15
+  if (semver.lt(process.versions.node, '15.0.0')) return this.skip();
+  compareStdout(done, createSecondLineSourceMap(), [
+    '',
+    'function foo() { return Promise.reject(new Error("this is the error")); }',
+    'require("./source-map-support").install({ handleUncaughtExceptions: false, handleUnhandledRejections: true });',
+    'foo();'
+  ], [
+    re`${stackFramePathStartsWith()}(?:.*[/\\])?.original-${id}\.js:1$`,
+    'this is the original code',
+    '^',
+    'Error: this is the error',
+    re`^    at foo \(${stackFramePathStartsWith()}(?:.*[/\\])?\.original-${id}\.js:1:1\)$`
+  ]);
+});
+
+it('handleUnhandledRejections is false', function(done) {
+  if (semver.lt(process.versions.node, '15.0.0')) return this.skip();
+  compareStdout(done, createSecondLineSourceMap(), [
+    '',
+    'function foo() { return Promise.reject(new Error("this is the error")); }',
+    'require("./source-map-support").install({ handleUnhandledRejections: false });',
+    'foo();'
+  ], [
+    re`${stackFramePathStartsWith()}(?:.*[/\\])?.generated-${id}.${extension}:2$`,
+    'function foo() { return Promise.reject(new Error("this is the error")); }',
+    /^ +\^$/,
+    'Error: this is the error',
+    re`^    at foo \(${stackFramePathStartsWith()}(?:.*[/\\])?.original-${id}\.js:1:1\)$`
+  ]);
+});
+
+it('leaves rejections to unhandledRejection listeners', function(done) {
+  compareStdout(done, createSecondLineSourceMap(), [
+    '',
+    'function foo() { return Promise.reject(new Error("this is the error")); }',
+    'require("./source-map-support").install();',
+    'process.on("unhandledRejection", function(e) { console.log("handled: " + e.message); });',
+    'foo();'
+  ], [
+    'handled: this is the error'
+  ]);
+});
+
 it('default options with empty source map', function(done) {
   compareStdout(done, createEmptySourceMap(), [
     '',
@@ -1006,6 +1176,1434 @@ describe('redirects require() of "source-map-support" to this module', function(
   });
 });
 
+describe('cache limits', function() {
+  const {createSingleLineSourceMap, createMultiLineSourceMapWithSourcesContent} = sourceMapCreators();
+
+  before(installSmsOnce);
+  afterEach(function() {
+    underTest.install({ cacheLimits: {}, retainSourcesContent: true });
+  });
+
+  function writeGenerated(name, sourceMap) {
+    fs.writeFileSync(`${name}.map`, sourceMap.toString());
+    fs.writeFileSync(name, `throw new Error("test");//# sourceMappingURL=${path.basename(name)}.map`);
+    return path.resolve(name);
+  }
+
+  it('evicts least recently used source maps', function() {
+    underTest.install({ cacheLimits: { sourceMaps: { maxEntries: 2 } } });
+    const files = [`.generated-${id}.js`, `.generated2-${id}.js`, `.generated-${id}-inline.js`]
+      .map(name => writeGenerated(name, createSingleLineSourceMap()));
+    const sourceMapStats = () => underTest.getCacheStats().sourceMaps;
+    function assertCached(file, expected) {
+      const before = sourceMapStats();
+      mapFirstLine(file);
+      const after = sourceMapStats();
+      assert.strictEqual(after.hits - before.hits, expected ? 1 : 0);
+      assert.strictEqual(after.misses - before.misses, expected ? 0 : 1);
+    }
+
+    const before = sourceMapStats();
+    // Evicts files[0]
+    files.forEach(mapFirstLine);
+    assert.strictEqual(sourceMapStats().entries, 2);
+    assert(sourceMapStats().evictions > before.evictions);
+    assert(sourceMapStats().bytes > 0);
+    // Touch files[1], so that files[2] is evicted next
+    assertCached(files[1], true);
+    assertCached(files[0], false);
+    assertCached(files[1], true);
+    assertCached(files[2], false);
+    assert.strictEqual(sourceMapStats().entries, 2);
+    assert.match(mapFirstLine(files[2]).source, re`\.original-${id}\.js$`);
+  });
+
+  it('evicts file contents beyond maxBytes', function() {
+    const generated = writeGenerated(`.generated-${id}.js`, createSingleLineSourceMap());
+    const generated2 = writeGenerated(`.generated2-${id}.js`, createSingleLineSourceMap());
+    const sourceMapSize = fs.readFileSync(`${generated}.map`, 'utf8').length;
+    underTest.install({ cacheLimits: { fileContents: { maxBytes: sourceMapSize } } });
+    const before = underTest.getCacheStats().fileContents;
+    // Caches the source map of generated, evicting older contents
+    mapFirstLine(generated);
+    let stats = underTest.getCacheStats().fileContents;
+    assert.strictEqual(stats.entries, 1);
+    assert.strictEqual(stats.bytes, sourceMapSize);
+
+    // The source map of generated2 replaces it
+    mapFirstLine(generated2);
+    stats = underTest.getCacheStats().fileContents;
+    assert.strictEqual(stats.entries, 1);
+    assert.strictEqual(stats.bytes, sourceMapSize);
+    assert(stats.evictions > before.evictions);
+    // Forgetting the evicted source map changes nothing, unlike forgetting
+    // the cached one
+    underTest.invalidate(`${generated}.map`);
+    assert.strictEqual(underTest.getCacheStats().fileContents.bytes, sourceMapSize);
+    underTest.invalidate(`${generated2}.map`);
+    assert.strictEqual(underTest.getCacheStats().fileContents.bytes, 0);
+  });
+
+  it('estimates the size of source maps given as objects without serializing them', function() {
+    const map = JSON.parse(createMultiLineSourceMapWithSourcesContent().toString());
+    map.toJSON = () => { throw new Error('serialized'); };
+    const generated = path.resolve(`.generated-${id}.js`);
+    underTest.install({ retrieveSourceMap: source => source === generated ? { url: generated, map } : null });
+    try {
+      const before = underTest.getCacheStats().sourceMaps.bytes;
+      assert.match(mapFirstLine(generated).source, re`original-${id}\.js$`);
+      assert.strictEqual(underTest.getCacheStats().sourceMaps.bytes - before,
+        map.mappings.length + map.sourcesContent.join('').length);
+    } finally {
+      underTest.resetRetrieveHandlers();
+      underTest.invalidate(generated);
+    }
+  });
+
+  it('retainSourcesContent: false', function() {
+    const fileContentsEntries = () => underTest.getCacheStats().fileContents.entries;
+    let before = fileContentsEntries();
+    mapFirstLine(writeGenerated(`.generated-${id}.js`, createMultiLineSourceMapWithSourcesContent()));
+    // The source map and the original source; the generated file is only scanned
+    assert.strictEqual(fileContentsEntries() - before, 2);
+
+    underTest.install({ retainSourcesContent: false });
+    before = fileContentsEntries();
+    mapFirstLine(writeGenerated(`.generated2-${id}.js`, createMultiLineSourceMapWithSourcesContent()));
+    assert.strictEqual(fileContentsEntries() - before, 1);
+  });
+});
+
+describe('cache invalidation', function() {
+  before(installSmsOnce);
+  afterEach(function() {
+    underTest.install({ revalidateCache: false });
+  });
+
+  beforeEach(function() {
+    fs.writeFileSync(`.generated-${id}.js`, `throw new Error("test");//# sourceMappingURL=.generated-${id}.js.map`);
+    writeSourceMap(`.original-${id}.js`);
+  });
+
+  it('revalidateCache notices source maps rebuilt in place', function() {
+    underTest.install({ revalidateCache: true });
+    assert.match(mapFirstLine().source, re`[/\\]\.original-${id}\.js$`);
+    writeSourceMap(`.original2-${id}.js`);
+    assert.match(mapFirstLine().source, re`[/\\]\.original2-${id}\.js$`);
+  });
+
+  it('revalidateCache notices a sourceMappingURL added to a file', function() {
+    underTest.install({ revalidateCache: true });
+    fs.writeFileSync(`.generated-${id}.js`, 'throw new Error("test");');
+    assert.match(mapFirstLine().source, re`[/\\]\.generated-${id}\.js$`);
+    fs.writeFileSync(`.generated-${id}.js`, `throw new Error("test");//# sourceMappingURL=.generated-${id}.js.map`);
+    assert.match(mapFirstLine().source, re`[/\\]\.original-${id}\.js$`);
+  });
+
+  it('invalidate', function() {
+    assert.match(mapFirstLine().source, re`[/\\]\.original-${id}\.js$`);
+    writeSourceMap(`.original2-${id}.js`);
+    assert.match(mapFirstLine().source, re`[/\\]\.original-${id}\.js$`);
+    underTest.invalidate(path.resolve(`.generated-${id}.js.map`));
+    assert.match(mapFirstLine().source, re`[/\\]\.original2-${id}\.js$`);
+  });
+});
+
+describe('sourceMappingURL tail scan', function() {
+  const {createSingleLineSourceMap} = sourceMapCreators();
+
+  before(installSmsOnce);
+
+  // Larger than the end of the file which is scanned for the comment
+  const padding = `// ${'x'.repeat(1000)}\n`.repeat(100);
+
+  it('does not cache the contents of a large generated file', function() {
+    fs.writeFileSync(`.generated-${id}.js.map`, createSingleLineSourceMap().toString());
+    fs.writeFileSync(`.generated-${id}.js`, `throw new Error("test");\n${padding}//# sourceMappingURL=.generated-${id}.js.map`);
+    const before = underTest.getCacheStats().fileContents.bytes;
+    assert.match(mapFirstLine().source, re`[/\\]\.original-${id}\.js$`);
+    assert(underTest.getCacheStats().fileContents.bytes - before < padding.length);
+  });
+
+  it('finds an inline source map longer than the end of the file', function() {
+    const sourceMap = createSingleLineSourceMap();
+    sourceMap.setSourceContent(`.original-${id}.js`, padding);
+    const base64 = Buffer.from(sourceMap.toString()).toString('base64');
+    fs.writeFileSync(`.generated-${id}.js`, `throw new Error("test");\n//# sourceMappingURL=data:application/json;base64,${base64}`);
+    assert.match(mapFirstLine().source, re`[/\\]\.original-${id}\.js$`);
+  });
+
+  it('finds a sourceMappingURL before the end of the file', function() {
+    fs.writeFileSync(`.generated-${id}.js.map`, createSingleLineSourceMap().toString());
+    fs.writeFileSync(`.generated-${id}.js`, `throw new Error("test");\n//# sourceMappingURL=.generated-${id}.js.map\n${padding}`);
+    assert.match(mapFirstLine().source, re`[/\\]\.original-${id}\.js$`);
+  });
+});
+
+describe('persistent cache', function() {
+  const cacheDir = `.cache-${id}`;
+
+  before(installSmsOnce);
+  beforeEach(function() {
+    underTest.install({ persistentCacheDir: cacheDir });
+    fs.writeFileSync(`.generated-${id}.js`, `throw new Error("test");//# sourceMappingURL=.generated-${id}.js.map`);
+    writeSourceMap(`.original-${id}.js`);
+  });
+  afterEach(function() {
+    underTest.install({ persistentCacheDir: false, persistentCacheLimits: {} });
+    removeDirectory(cacheDir);
+  });
+
+  // Maps without the in-memory cache, so the persistent cache is used
+  function mapUncached() {
+    underTest.invalidate(path.resolve(`.generated-${id}.js.map`));
+    return mapFirstLine().source;
+  }
+
+  it('persistentCacheDir stores parsed source maps for later reuse', function() {
+    assert.match(mapUncached(), re`[/\\]\.original-${id}\.js$`);
+    const entries = fs.readdirSync(cacheDir);
+    assert.equal(entries.length, 1);
+
+    // Prove the entry is read, by renaming the source inside it
+    const entryPath = path.join(cacheDir, entries[0]);
+    fs.writeFileSync(entryPath, fs.readFileSync(entryPath, 'latin1').replace(`.original-${id}.js`, `.ORIGINAL-${id}.js`), 'latin1');
+    assert.match(mapUncached(), re`[/\\]\.ORIGINAL-${id}\.js$`);
+  });
+
+  it('persistent cache entries are used without reading the source map', function() {
+    assert.match(mapUncached(), re`[/\\]\.original-${id}\.js$`);
+    fs.unlinkSync(`.generated-${id}.js.map`);
+    assert.match(mapUncached(), re`[/\\]\.original-${id}\.js$`);
+  });
+
+  it('persistent cache entries are not reused once the generated file changes', function() {
+    assert.match(mapUncached(), re`[/\\]\.original-${id}\.js$`);
+    fs.writeFileSync(`.generated-${id}.js`, `throw new Error("rebuilt");//# sourceMappingURL=.generated-${id}.js.map`);
+    writeSourceMap(`.original2-${id}.js`);
+    assert.match(mapUncached(), re`[/\\]\.original2-${id}\.js$`);
+    assert.equal(fs.readdirSync(cacheDir).length, 2);
+  });
+
+  it('persistentCacheLimits removes old and least recently used entries', function() {
+    mapUncached();
+    const [first] = fs.readdirSync(cacheDir);
+    const firstPath = path.join(cacheDir, first);
+    const size = fs.statSync(firstPath).size;
+    const mapGenerated = () => {
+      fs.writeFileSync(`.generated2-${id}.js`, `throw new Error("test");//# sourceMappingURL=.generated-${id}.js.map`);
+      underTest.invalidate(path.resolve(`.generated-${id}.js.map`));
+      underTest.mapSourcePosition({ source: path.resolve(`.generated2-${id}.js`), line: 1, column: 0 });
+    };
+
+    // Room for one entry: the least recently used goes
+    underTest.install({ persistentCacheLimits: { maxBytes: size } });
+    fs.utimesSync(firstPath, new Date(Date.now() - 1000), new Date(Date.now() - 1000));
+    mapGenerated();
+    let entries = fs.readdirSync(cacheDir);
+    assert.equal(entries.length, 1);
+    assert.notEqual(entries[0], first);
+
+    // Entries unused for longer than maxAge go
+    underTest.install({ persistentCacheLimits: { maxAge: 60 * 1000 } });
+    fs.utimesSync(path.join(cacheDir, entries[0]), new Date(0), new Date(0));
+    mapUncached();
+    entries = fs.readdirSync(cacheDir);
+    assert.deepEqual(entries, [first]);
+  });
+
+  it('corrupt persistent cache entries are ignored', function() {
+    mapUncached();
+    const entryPath = path.join(cacheDir, fs.readdirSync(cacheDir)[0]);
+    fs.writeFileSync(entryPath, fs.readFileSync(entryPath).subarray(0, 20));
+    assert.match(mapUncached(), re`[/\\]\.original-${id}\.js$`);
+  });
+});
+
+describe('sidecarSourceMaps', function() {
+  const {createEmptySourceMap} = sourceMapCreators();
+  let dir;
+
+  before(installSmsOnce);
+  beforeEach(function() {
+    dir = `.sidecar-${id}`;
+    fs.mkdirSync(path.join(dir, 'dist'), { recursive: true });
+    fs.mkdirSync(path.join(dir, 'maps'));
+  });
+  afterEach(function() {
+    underTest.install({ sidecarSourceMaps: false });
+    removeDirectory(dir);
+  });
+
+  // Writes a generated file without a sourceMappingURL, and a source map whose
+  // file field is `file`
+  function writeSidecar(generatedName, mapPath, file) {
+    const sourceMap = createEmptySourceMap();
+    sourceMap.addMapping({ generated: { line: 1, column: 0 }, original: { line: 1, column: 0 }, source: 'app.ts' });
+    fs.writeFileSync(mapPath, JSON.stringify(Object.assign(JSON.parse(sourceMap.toString()), { file })));
+    const generated = path.resolve(dir, 'dist', generatedName);
+    fs.writeFileSync(generated, 'throw new Error("test");');
+    return generated;
+  }
+
+  it('finds <file>.map next to the generated file', function() {
+    const generated = writeSidecar('app.js', path.join(dir, 'dist', 'app.js.map'), 'app.js');
+    assert.strictEqual(mapFirstLine(generated).source, generated);
+
+    underTest.install({ sidecarSourceMaps: true });
+    underTest.invalidate(generated);
+    assert.strictEqual(mapFirstLine(generated).source, path.resolve(dir, 'dist', 'app.ts'));
+  });
+
+  it('probes locations in order', function() {
+    const generated = writeSidecar('app.js', path.join(dir, 'maps', 'app.js.map'), 'app.js');
+    underTest.install({ sidecarSourceMaps: ['[base].map', '../maps/[base].map'] });
+    assert.strictEqual(mapFirstLine(generated).source, path.resolve(dir, 'maps', 'app.ts'));
+    const events = underTest.explain(generated, 1, 1).events.filter(event => event.type === 'sidecar');
+    assert.deepStrictEqual(events.map(event => event.found), [false, true]);
+    assert.strictEqual(events[1].url, path.resolve(dir, 'maps', 'app.js.map'));
+  });
+
+  it('rewrites hashed names, using only maps whose file field names the generated file', function() {
+    const location = { from: /\.[0-9a-f]{8}\.js$/, to: '.js.map' };
+    underTest.install({ sidecarSourceMaps: [location] });
+    const generated = writeSidecar('app.1a2b3c4d.js', path.join(dir, 'dist', 'app.js.map'), 'app.1a2b3c4d.js');
+    assert.strictEqual(mapFirstLine(generated).source, path.resolve(dir, 'dist', 'app.ts'));
+
+    const other = writeSidecar('lib.1a2b3c4d.js', path.join(dir, 'dist', 'lib.js.map'), 'lib.5e6f7a8b.js');
+    assert.strictEqual(mapFirstLine(other).source, other);
+  });
+});
+
+describe('debugIdDirs', function() {
+  const {createSingleLineSourceMap} = sourceMapCreators();
+  const debugId = '85314830-023F-4CF1-A267-535F4E37BB17';
+  let mapsDirs;
+
+  before(installSmsOnce);
+  beforeEach(function() {
+    // Directories stay indexed, so each test has its own
+    mapsDirs = [`.maps-${id}`, `.maps2-${id}`];
+    mapsDirs.forEach(dir => fs.mkdirSync(dir));
+  });
+  afterEach(function() {
+    underTest.install({ debugIdDirs: false });
+    mapsDirs.forEach(removeDirectory);
+  });
+
+  function writeDebugIdSourceMap(mapPath, debugId) {
+    const map = JSON.parse(createSingleLineSourceMap().toString());
+    map.debugId = debugId;
+    fs.writeFileSync(mapPath, JSON.stringify(map));
+  }
+
+  it('finds the source map with the debug ID of the generated file', function() {
+    fs.writeFileSync(`.generated-${id}.js`, `throw new Error("test");\n//# debugId=${debugId}`);
+    writeDebugIdSourceMap(path.join(mapsDirs[0], 'other.js.map'), '00000000-0000-0000-0000-000000000000');
+    writeDebugIdSourceMap(path.join(mapsDirs[0], 'app.js.map'), debugId.toLowerCase());
+    assert.match(mapFirstLine().source, re`[/\\]\.generated-${id}\.js$`);
+
+    underTest.install({ debugIdDirs: mapsDirs });
+    underTest.invalidate(path.resolve(`.generated-${id}.js`));
+    assert.strictEqual(mapFirstLine().source, path.resolve(mapsDirs[0], `.original-${id}.js`));
+  });
+
+  it('searches each directory, skipping files which are not source maps', function() {
+    fs.writeFileSync(`.generated-${id}.js`, `throw new Error("test");\n//# debugId=${debugId}`);
+    fs.writeFileSync(path.join(mapsDirs[0], 'broken.js.map'), '{');
+    fs.writeFileSync(path.join(mapsDirs[0], 'app.js'), JSON.stringify({ debugId }));
+    writeDebugIdSourceMap(path.join(mapsDirs[1], 'app.js.map'), debugId);
+    underTest.install({ debugIdDirs: mapsDirs });
+    assert.strictEqual(mapFirstLine().source, path.resolve(mapsDirs[1], `.original-${id}.js`));
+    const events = underTest.explain(path.resolve(`.generated-${id}.js`), 1, 1).events;
+    assert(events.some(event => event.type === 'debugId' && event.id === debugId.toLowerCase()));
+  });
+
+  it('finds maps added to a directory after it was indexed', function() {
+    fs.writeFileSync(`.generated-${id}.js`, `throw new Error("test");\n//# debugId=${debugId}`);
+    writeDebugIdSourceMap(path.join(mapsDirs[0], 'other.js.map'), '00000000-0000-0000-0000-000000000000');
+    underTest.install({ debugIdDirs: mapsDirs });
+    assert.match(mapFirstLine().source, re`[/\\]\.generated-${id}\.js$`);
+
+    writeDebugIdSourceMap(path.join(mapsDirs[0], 'app.js.map'), debugId);
+    underTest.invalidate(path.resolve(`.generated-${id}.js`));
+    assert.strictEqual(mapFirstLine().source, path.resolve(mapsDirs[0], `.original-${id}.js`));
+  });
+
+  it('finds the debug ID at the end of a large source map', function() {
+    fs.writeFileSync(`.generated-${id}.js`, `throw new Error("test");\n//# debugId=${debugId}`);
+    const map = JSON.parse(createSingleLineSourceMap().toString());
+    map.sourcesContent = ['x'.repeat(100000)];
+    map.debug_id = debugId;
+    fs.writeFileSync(path.join(mapsDirs[0], 'app.js.map'), JSON.stringify(map));
+    underTest.install({ debugIdDirs: mapsDirs });
+    assert.strictEqual(mapFirstLine().source, path.resolve(mapsDirs[0], `.original-${id}.js`));
+  });
+
+  it('prefers a sourceMappingURL', function() {
+    fs.writeFileSync(`.generated-${id}.js.map`, createSingleLineSourceMap().toString());
+    fs.writeFileSync(`.generated-${id}.js`, `throw new Error("test");\n//# debugId=${debugId}\n//# sourceMappingURL=.generated-${id}.js.map`);
+    writeDebugIdSourceMap(path.join(mapsDirs[0], 'app.js.map'), debugId);
+    underTest.install({ debugIdDirs: mapsDirs });
+    assert.strictEqual(mapFirstLine().source, path.resolve(`.original-${id}.js`));
+  });
+});
+
+describe('transitiveSourceMaps', function() {
+  before(installSmsOnce);
+  afterEach(function() {
+    underTest.install({ transitiveSourceMaps: false });
+  });
+
+  // Writes a file which maps its first line to line `line` of `to`
+  function writeStage(name, to, line, mappingName) {
+    const sourceMap = new SourceMapGenerator({ file: name });
+    sourceMap.addMapping({
+      generated: { line: 1, column: 0 },
+      original: { line, column: 2 },
+      source: to,
+      name: mappingName
+    });
+    fs.writeFileSync(`${name}.map`, sourceMap.toString());
+    fs.writeFileSync(name, `throw new Error("test");\n//# sourceMappingURL=${name}.map`);
+  }
+
+  it('maps through the source maps of intermediate files', function() {
+    writeStage(`.generated-${id}.js`, `.generated2-${id}.js`, 1, 'bundled');
+    writeStage(`.generated2-${id}.js`, `.original-${id}.js`, 5);
+    assert.match(mapFirstLine().source, re`[/\\]\.generated2-${id}\.js$`);
+
+    underTest.install({ transitiveSourceMaps: true });
+    const position = mapFirstLine();
+    assert.match(position.source, re`[/\\]\.original-${id}\.js$`);
+    assert.strictEqual(position.line, 5);
+    assert.strictEqual(position.column, 2);
+    // The deepest map has no name for the position
+    assert.strictEqual(position.name, 'bundled');
+  });
+
+  it('takes the name from the deepest map which has one', function() {
+    writeStage(`.generated-${id}.js`, `.generated2-${id}.js`, 1, 'bundled');
+    writeStage(`.generated2-${id}.js`, `.original-${id}.js`, 5, 'original');
+    underTest.install({ transitiveSourceMaps: true });
+    assert.strictEqual(mapFirstLine().name, 'original');
+  });
+
+  it('stops after maxDepth source maps', function() {
+    writeStage(`.generated-${id}.js`, `.generated2-${id}.js`, 1);
+    writeStage(`.generated2-${id}.js`, `.original-${id}.js`, 1);
+    writeStage(`.original-${id}.js`, `.original2-${id}.js`, 1);
+    underTest.install({ transitiveSourceMaps: { maxDepth: 2 } });
+    assert.match(mapFirstLine().source, re`[/\\]\.original-${id}\.js$`);
+    underTest.install({ transitiveSourceMaps: true });
+    assert.match(mapFirstLine().source, re`[/\\]\.original2-${id}\.js$`);
+  });
+
+  it('stops at cycles', function() {
+    writeStage(`.generated-${id}.js`, `.generated2-${id}.js`, 1);
+    writeStage(`.generated2-${id}.js`, `.generated-${id}.js`, 1);
+    underTest.install({ transitiveSourceMaps: true });
+    assert.match(mapFirstLine().source, re`[/\\]\.generated-${id}\.js$`);
+    const events = underTest.explain(path.resolve(`.generated-${id}.js`), 1, 1).events;
+    assert(events.some(event => event.type === 'cycle'));
+  });
+});
+
+describe('pathRewrites', function() {
+  const {createSingleLineSourceMap} = sourceMapCreators();
+
+  before(installSmsOnce);
+  afterEach(function() {
+    underTest.install({ pathRewrites: false });
+  });
+
+  it('rewrites generated paths and file URLs before retrieving their source maps', function() {
+    fs.writeFileSync(`.generated-${id}.js.map`, createSingleLineSourceMap().toString());
+    fs.writeFileSync(`.generated-${id}.js`, `throw new Error("test");//# sourceMappingURL=.generated-${id}.js.map`);
+    const deployed = path.resolve('/deployed/app');
+    underTest.install({ pathRewrites: { generated: [{ from: deployed + path.sep, to: process.cwd() + path.sep }] } });
+
+    const deployedPath = path.join(deployed, `.generated-${id}.js`);
+    const original = path.resolve(`.original-${id}.js`);
+    assert.strictEqual(underTest.mapSourcePosition({ source: deployedPath, line: 1, column: 0 }).source, original);
+    assert.strictEqual(
+      underTest.mapSourcePosition({ source: pathToFileURL(deployedPath).toString(), line: 1, column: 0 }).source,
+      pathToFileURL(original).toString());
+  });
+
+  it('rewrites original sources before printing and reading them', function() {
+    fs.writeFileSync(`.original-${id}.js`, 'fail();\n');
+    const sourceMap = new SourceMapGenerator({ file: `.generated-${id}.js` });
+    sourceMap.addMapping({
+      generated: { line: 1, column: 0 },
+      original: { line: 1, column: 0 },
+      source: `/builder/workspace/src/.original-${id}.js`
+    });
+    fs.writeFileSync(`.generated-${id}.js.map`, sourceMap.toString());
+    fs.writeFileSync(`.generated-${id}.js`, `exports.test = function() { throw new Error("test"); };\n//# sourceMappingURL=.generated-${id}.js.map`);
+    underTest.install({ pathRewrites: { sources: [{ from: /^.*[\\/]workspace[\\/]src[\\/]/, to: process.cwd() + path.sep }] } });
+
+    let error;
+    try {
+      require(path.resolve(`.generated-${id}.js`)).test();
+    } catch (e) {
+      error = e;
+    }
+    assert.strictEqual(underTest.getMappedFrames(error)[0].source, path.resolve(`.original-${id}.js`));
+    assert.deepStrictEqual(underTest.getErrorSource(error).split('\n'), [
+      path.resolve(`.original-${id}.js`) + ':1',
+      'fail();',
+      '^'
+    ]);
+  });
+
+  it('rejects malformed rules', function() {
+    assert.throws(() => underTest.install({ pathRewrites: { generated: [{ from: 1, to: '/' }] } }),
+      /pathRewrites\.generated expects rules/);
+  });
+});
+
+describe('ignoreList', function() {
+  const {createEmptySourceMap} = sourceMapCreators();
+
+  // Line 2 holds library code from .original2, which the map ignore-lists
+  function createSourceMap(ignoreListField) {
+    const sourceMap = createEmptySourceMap();
+    for (let line = 1; line <= 4; line++) {
+      sourceMap.addMapping({
+        generated: { line, column: 0 },
+        original: { line, column: 0 },
+        source: line === 2 ? `.original2-${id}.js` : `.original-${id}.js`
+      });
+    }
+    const map = JSON.parse(sourceMap.toString());
+    map[ignoreListField] = [map.sources.indexOf(`.original2-${id}.js`)];
+    return { toString: () => JSON.stringify(map) };
+  }
+  function compareIgnoreListedFrames(done, ignoreListedFrames, expected) {
+    compareStdout(done, createSourceMap('ignoreList'), [
+      `require("./source-map-support").install({ ignoreListedFrames: ${JSON.stringify(ignoreListedFrames)} });`,
+      'function library(fn) { library2(fn); } function library2(fn) { fn(); }',
+      'function user() { throw new Error("test"); }',
+      'try { library(user); } catch (e) { console.log(e.stack.split("\\n").slice(0, 5).join("\\n")); }'
+    ], expected);
+  }
+
+  it('ignoreListedFrames: show', function(done) {
+    compareIgnoreListedFrames(done, 'show', [
+      'Error: test',
+      re`^    at user \((?:.*[/\\])?\.original-${id}\.js:3:1\)$`,
+      re`^    at library2 \((?:.*[/\\])?\.original2-${id}\.js:2:1\)$`,
+      re`^    at library \((?:.*[/\\])?\.original2-${id}\.js:2:1\)$`,
+      re`^    at Object\.<anonymous> \((?:.*[/\\])?\.original-${id}\.js:4:1\)$`
+    ]);
+  });
+
+  it('ignoreListedFrames: drop', function(done) {
+    compareIgnoreListedFrames(done, 'drop', [
+      'Error: test',
+      re`^    at user \((?:.*[/\\])?\.original-${id}\.js:3:1\)$`,
+      re`^    at Object\.<anonymous> \((?:.*[/\\])?\.original-${id}\.js:4:1\)$`,
+      /^    at /,
+      /^    at /
+    ]);
+  });
+
+  it('ignoreListedFrames: collapse', function(done) {
+    compareIgnoreListedFrames(done, 'collapse', [
+      'Error: test',
+      re`^    at user \((?:.*[/\\])?\.original-${id}\.js:3:1\)$`,
+      '    ... 2 ignore-listed frames',
+      re`^    at Object\.<anonymous> \((?:.*[/\\])?\.original-${id}\.js:4:1\)$`,
+      /^    at /
+    ]);
+  });
+
+  it('ignoreListedFrames: tag', function(done) {
+    compareIgnoreListedFrames(done, 'tag', [
+      'Error: test',
+      re`^    at user \((?:.*[/\\])?\.original-${id}\.js:3:1\)$`,
+      re`^    at library2 \((?:.*[/\\])?\.original2-${id}\.js:2:1\) \[ignore-listed\]$`,
+      re`^    at library \((?:.*[/\\])?\.original2-${id}\.js:2:1\) \[ignore-listed\]$`,
+      re`^    at Object\.<anonymous> \((?:.*[/\\])?\.original-${id}\.js:4:1\)$`
+    ]);
+  });
+
+  it('mapSourcePosition reports x_google_ignoreList sources', function() {
+    installSmsOnce();
+    fs.writeFileSync(`.generated-${id}.js.map`, createSourceMap('x_google_ignoreList').toString());
+    fs.writeFileSync(`.generated-${id}.js`, `//# sourceMappingURL=.generated-${id}.js.map`);
+    const source = path.resolve(`.generated-${id}.js`);
+    assert.strictEqual(underTest.mapSourcePosition({ source, line: 2, column: 0 }).ignoreListed, true);
+    assert.strictEqual(underTest.mapSourcePosition({ source, line: 3, column: 0 }).ignoreListed, false);
+  });
+});
+
+describe('hideFrames', function() {
+  const {createEmptySourceMap} = sourceMapCreators();
+
+  it('hides node internals and frames matching predicates, also when uncaught', function(done) {
+    compareStdout(done, createEmptySourceMap(), [
+      'require("./source-map-support").install({ hideFrames: { nodeInternals: true, predicates: [f => f.functionName === "helper"] } });',
+      'function helper(fn) { fn(); }',
+      'function user() { throw new Error("test"); }',
+      'process.nextTick(function() { helper(user); });'
+    ], [
+      re`(?:.*[/\\])?\.generated-${id}\.js:3$`,
+      'function user() { throw new Error("test"); }',
+      re`^ +\^$`,
+      'Error: test',
+      re`^    at user \((?:.*[/\\])?\.generated-${id}\.js:3:25\)$`,
+      re`^    at (?:.*[/\\])?\.generated-${id}\.js:4:31$`,
+      /^    \.\.\. \d+ hidden frames$/
+    ]);
+  });
+
+  it('hides frames mapped into node_modules', function(done) {
+    const sourceMap = createEmptySourceMap();
+    for (let line = 1; line <= 4; line++) {
+      sourceMap.addMapping({
+        generated: { line, column: 0 },
+        original: { line, column: 0 },
+        source: line === 2 ? 'node_modules/library/index.js' : `.original-${id}.js`
+      });
+    }
+    compareStdout(done, sourceMap, [
+      'require("./source-map-support").install({ hideFrames: { nodeModules: true } });',
+      'function library(fn) { fn(); }',
+      'function user() { throw new Error("test"); }',
+      'try { library(user); } catch (e) { console.log(e.stack.split("\\n").slice(0, 3).join("\\n")); }'
+    ], [
+      'Error: test',
+      re`^    at user \((?:.*[/\\])?\.original-${id}\.js:3:1\)$`,
+      re`^    at Object\.<anonymous> \((?:.*[/\\])?\.original-${id}\.js:4:1\)$`
+    ]);
+  });
+
+  it('hides downleveled async function helpers', function(done) {
+    compareStdout(done, createEmptySourceMap(), [
+      'require("./source-map-support").install({ hideFrames: { asyncWrappers: true } });',
+      'var __awaiter = function (thisArg, _arguments, P, generator) {',
+      '    return new (P || (P = Promise))(function (resolve, reject) {',
+      '        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }',
+      '        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }',
+      '        function step(result) { result.done ? resolve(result.value) : Promise.resolve(result.value).then(fulfilled, rejected); }',
+      '        step((generator = generator.apply(thisArg, _arguments || [])).next());',
+      '    });',
+      '};',
+      'function user() { return __awaiter(this, void 0, void 0, function* () { throw new Error("test"); }); }',
+      'user().catch(e => console.log(e.stack.split("\\n").slice(0, 4).join("\\n")));'
+    ], [
+      'Error: test',
+      re`^    at (?:.*[/\\])?\.generated-${id}\.js:10:79$`,
+      re`^    at (?:.*[/\\])?\.generated-${id}\.js:7:71$`,
+      re`^    at user \((?:.*[/\\])?\.generated-${id}\.js:10:26\)$`
+    ]);
+  });
+
+  it('keeps mapped frames named like async function helpers', function(done) {
+    const sourceMap = createEmptySourceMap();
+    sourceMap.addMapping({ generated: { line: 2, column: 0 }, original: { line: 20, column: 0 }, source: `.original-${id}.js` });
+    compareStdout(done, sourceMap, [
+      'require("./source-map-support").install({ hideFrames: { asyncWrappers: true } });',
+      'function step() { throw new Error("test"); }',
+      'try { step(); } catch (e) { console.log(e.stack.split("\\n").slice(0, 2).join("\\n")); }'
+    ], [
+      'Error: test',
+      re`^    at step \((?:.*[/\\])?\.original-${id}\.js:20:1\)$`
+    ]);
+  });
+});
+
+describe('getMappedFrames', function() {
+  before(installSmsOnce);
+
+  it('reads the details of frames when asked', function() {
+    class Thrower {
+      constructor() { this.method(); }
+      method() { eval('throw new Error("test")'); }
+    }
+    let error;
+    try {
+      new Thrower();
+    } catch (e) {
+      error = e;
+    }
+    const [evaluated, method, constructor] = underTest.getMappedFrames(error);
+    assert.strictEqual(evaluated.isEval, true);
+    assert.match(evaluated.evalOrigin, /^eval at method \(.*test\.js:\d+:\d+\)$/);
+    assert.strictEqual(method.typeName, 'Thrower');
+    assert.strictEqual(method.methodName, 'method');
+    assert.strictEqual(method.isToplevel, false);
+    assert.strictEqual(constructor.isConstructor, true);
+    assert.strictEqual(constructor.typeName, null);
+    // Asking again returns the same details
+    assert.deepStrictEqual(underTest.getMappedFrames(error)[1], method);
+  });
+});
+
+describe('getErrorSource', function() {
+  const {createEmptySourceMap} = sourceMapCreators();
+
+  before(installSmsOnce);
+
+  // Throws from the call to fail() on the second line of the original source
+  function throwFromOriginal() {
+    fs.writeFileSync(`.original-${id}.js`, '// first\n\tlet 名前 = 1; fail(名前);\n// last\n');
+    const sourceMap = createEmptySourceMap();
+    sourceMap.addMapping({ generated: { line: 1, column: 0 }, original: { line: 2, column: 13 }, source: `.original-${id}.js` });
+    sourceMap.addMapping({ generated: { line: 1, column: 100 }, original: { line: 2, column: 17 }, source: `.original-${id}.js` });
+    fs.writeFileSync(`.generated-${id}.js.map`, sourceMap.toString());
+    fs.writeFileSync(`.generated-${id}.js`, `exports.test = function() { throw new Error("test"); };\n//# sourceMappingURL=.generated-${id}.js.map`);
+    try {
+      require(path.resolve(`.generated-${id}.js`)).test();
+    } catch (e) {
+      return e;
+    }
+  }
+
+  it('lines up the caret under tabs and wide characters', function() {
+    assert.deepStrictEqual(underTest.getErrorSource(throwFromOriginal()).split('\n'), [
+      path.resolve(`.original-${id}.js`) + ':2',
+      '\tlet 名前 = 1; fail(名前);',
+      '\t              ^'
+    ]);
+  });
+
+  it('context lines, gutter and underline', function() {
+    const error = throwFromOriginal();
+    assert.deepStrictEqual(underTest.getErrorSource(error, { linesAbove: 1, linesBelow: 5, gutter: true, underline: true }).split('\n'), [
+      path.resolve(`.original-${id}.js`) + ':2',
+      '  1 | // first',
+      '> 2 | \tlet 名前 = 1; fail(名前);',
+      '    | \t              ^~~~',
+      '  3 | // last',
+      '  4 | '
+    ]);
+  });
+
+  it('any frame', function() {
+    const error = throwFromOriginal();
+    assert.match(underTest.getErrorSource(error, { frame: 1 }).split('\n')[0], re`[/\\]test\.js:\d+$`);
+    assert.strictEqual(underTest.getErrorSource(error, { frame: 1000 }), null);
+  });
+});
+
+describe('remapStack', function() {
+  const {createEmptySourceMap} = sourceMapCreators();
+
+  before(installSmsOnce);
+
+  function throwFromGenerated() {
+    const sourceMap = createEmptySourceMap();
+    [['OriginalThing', 1], ['originalHelper', 2], [undefined, 3]].forEach(([name, line]) => {
+      sourceMap.addMapping({ generated: { line, column: 0 }, original: { line: line * 10, column: 4 }, source: `.original-${id}.js`, name });
+    });
+    fs.writeFileSync(`.generated-${id}.js.map`, sourceMap.toString());
+    fs.writeFileSync(`.generated-${id}.js`, [
+      'exports.test = function() { return new Thing(); };',
+      'function Thing() { eval("helper()"); }',
+      'function helper() { throw new Error("test"); }',
+      `//# sourceMappingURL=.generated-${id}.js.map`
+    ].join('\n'));
+    try {
+      require(path.resolve(`.generated-${id}.js`)).test();
+    } catch (e) {
+      return e;
+    }
+  }
+
+  it('remaps stack text captured without the hook', function() {
+    const prepareStackTrace = Error.prepareStackTrace;
+    Error.prepareStackTrace = undefined;
+    let raw;
+    try {
+      raw = throwFromGenerated().stack;
+    } finally {
+      Error.prepareStackTrace = prepareStackTrace;
+    }
+    compareLines(underTest.remapStack(raw).split('\n'), [
+      'Error: test',
+      re`^    at originalHelper \((?:.*[/\\])?\.original-${id}\.js:30:5\)$`,
+      re`^    at eval \(eval at Thing \((?:.*[/\\])?\.original-${id}\.js:20:5\), <anonymous>:1:1\)$`,
+      re`^    at new OriginalThing \((?:.*[/\\])?\.original-${id}\.js:20:5\)$`,
+      // Node 14 names it Object.exports.test
+      re`^    at (?:Object\.)?exports\.test \((?:.*[/\\])?\.original-${id}\.js:10:5\)$`,
+      re`^    at throwFromGenerated \((?:.*[/\\])?test\.js:\d+:\d+\)$`
+    ]);
+  });
+
+  it('keeps lines it cannot parse', function() {
+    const text = [
+      'Error: test',
+      '    at Promise.all (index 0)',
+      '    at async Promise.all (index 0)',
+      '    at native',
+      '    ... 3 lines matching cause stack trace ...',
+      'not a frame'
+    ].join('\n');
+    assert.equal(underTest.remapStack(text), text);
+  });
+
+  it('remaps SpiderMonkey and JavaScriptCore stack text', function() {
+    throwFromGenerated();
+    const generated = path.resolve(`.generated-${id}.js`);
+    const text = [
+      `helper@${generated}:3:27`,
+      `@${generated} line 2 > eval:1:1`,
+      `Thing@${generated}:2:27`,
+      `async*test@${generated}:1:37`,
+      'forEach@[native code]',
+      `global code@${generated}:3:1`
+    ].join('\n');
+    compareLines(underTest.remapStack(text).split('\n'), [
+      re`^originalHelper@(?:.*[/\\])?\.original-${id}\.js:30:5$`,
+      `@${generated} line 2 > eval:1:1`,
+      re`^OriginalThing@(?:.*[/\\])?\.original-${id}\.js:20:5$`,
+      re`^async\*test@(?:.*[/\\])?\.original-${id}\.js:10:5$`,
+      'forEach@[native code]',
+      re`^global code@(?:.*[/\\])?\.original-${id}\.js:30:5$`
+    ]);
+  });
+
+  it('getMappedStack', function() {
+    const error = throwFromGenerated();
+    assert.strictEqual(underTest.getMappedStack(error), error.stack);
+    const generated = path.resolve(`.generated-${id}.js`);
+    assert.match(underTest.getMappedStack({ stack: `helper@${generated}:3:27\n` }),
+      re`^helper@(?:.*[/\\])?\.original-${id}\.js:30:5\n$`);
+    assert.strictEqual(underTest.getMappedStack({}), null);
+    assert.strictEqual(underTest.getMappedStack('Error: test'), null);
+  });
+});
+
+describe('cli', function() {
+  const {createEmptySourceMap} = sourceMapCreators();
+  const mapsDir = `.maps-${id}`;
+  const mapsDir2 = `.maps2-${id}`;
+
+  beforeEach(function() {
+    fs.mkdirSync(mapsDir);
+    fs.mkdirSync(mapsDir2);
+  });
+  afterEach(function() {
+    removeDirectory(mapsDir);
+    removeDirectory(mapsDir2);
+  });
+
+  function writeAppSourceMap(mapPath) {
+    const sourceMap = createEmptySourceMap();
+    sourceMap.addMapping({ generated: { line: 1, column: 0 }, original: { line: 10, column: 2 }, source: 'src/app.ts' });
+    fs.writeFileSync(mapPath, sourceMap.toString());
+  }
+  function runCli(args, input) {
+    return child_process.execFileSync(process.execPath, ['cli.js', ...args], { input, encoding: 'utf8' }).split('\n');
+  }
+
+  it('remaps stack traces in text and JSON log lines using --maps-dir', function() {
+    writeAppSourceMap(path.join(mapsDir, 'app.min.js.map'));
+    fs.writeFileSync(`.generated-${id}.js`, [
+      'Error: boom',
+      '    at run (https://cdn.example.com/static/app.min.js:1:10)',
+      '    at other (https://cdn.example.com/static/vendor.js:1:1)',
+      JSON.stringify({ level: 'error', err: { stack: 'Error: boom\n    at https://cdn.example.com/static/app.min.js:1:10' } }),
+      JSON.stringify({ level: 'info', msg: 'unchanged' })
+    ].join('\n'));
+    const mapped = pathToFileURL(path.resolve(mapsDir, 'src/app.ts')).toString() + ':10:3';
+    assert.deepStrictEqual(runCli(['--maps-dir', mapsDir, `.generated-${id}.js`]), [
+      'Error: boom',
+      `    at run (${mapped})`,
+      '    at other (https://cdn.example.com/static/vendor.js:1:1)',
+      JSON.stringify({ level: 'error', err: { stack: `Error: boom\n    at ${mapped}` } }),
+      JSON.stringify({ level: 'info', msg: 'unchanged' }),
+      ''
+    ]);
+  });
+
+  it('searches each of several --maps-dir', function() {
+    writeAppSourceMap(path.join(mapsDir2, 'app.min.js.map'));
+    fs.writeFileSync(`.generated-${id}.js`, '    at run (https://cdn.example.com/static/app.min.js:1:10)\n');
+    const output = runCli(['--maps-dir', mapsDir, `--maps-dir=${mapsDir2}`, '--maps-dir', mapsDir, `.generated-${id}.js`]);
+    assert.deepStrictEqual(output, [`    at run (${pathToFileURL(path.resolve(mapsDir2, 'src/app.ts'))}:10:3)`, '']);
+  });
+
+  it('finds generated files of the same name in several --maps-dir', function() {
+    fs.writeFileSync(path.join(mapsDir, 'app.js'), 'run();');
+    writeAppSourceMap(path.join(mapsDir2, 'app.js.min.map'));
+    fs.writeFileSync(path.join(mapsDir2, 'app.js'), '//# sourceMappingURL=app.js.min.map');
+    const output = runCli(['--maps-dir', mapsDir, '--maps-dir', mapsDir2], '    at run (/srv/app/dist/app.js:1:10)\n    at run (/srv/app/dist/lib.js:1:10)\n');
+    assert.deepStrictEqual(output, [
+      `    at run (${path.resolve(mapsDir2, 'src/app.ts')}:10:3)`,
+      '    at run (/srv/app/dist/lib.js:1:10)',
+      ''
+    ]);
+  });
+
+  it('reports input files which cannot be read', function() {
+    const result = child_process.spawnSync(process.execPath, ['cli.js', `.generated-${id}.js`], { encoding: 'utf8' });
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /^source-map-support: ENOENT/);
+  });
+
+  it('prints stacks unchanged when a source map is invalid', function() {
+    fs.writeFileSync(path.join(mapsDir, 'app.js.map'), '{ not json');
+    const output = runCli(['--maps-dir', mapsDir], 'Error: boom\n    at run (/srv/app/dist/app.js:1:10)\nafter\n');
+    assert.deepStrictEqual(output, ['Error: boom', '    at run (/srv/app/dist/app.js:1:10)', 'after', '']);
+  });
+
+  it('finds generated files by --rewrite of path prefixes', function() {
+    writeAppSourceMap(path.join(mapsDir, 'app.js.map'));
+    fs.writeFileSync(path.join(mapsDir, 'app.js'), '//# sourceMappingURL=app.js.map');
+    const output = runCli(['--rewrite', `/srv/app/dist/=${mapsDir}/`], '    at run (/srv/app/dist/app.js:1:10)\n');
+    assert.deepStrictEqual(output, [`    at run (${path.resolve(mapsDir, 'src/app.ts')}:10:3)`, '']);
+  });
+});
+
+describe('registerSourceMap', function() {
+  const {createEmptySourceMap} = sourceMapCreators();
+  const vm = require('vm');
+
+  before(installSmsOnce);
+
+  function createTemplateMap(line) {
+    const sourceMap = createEmptySourceMap();
+    sourceMap.addMapping({ generated: { line: 1, column: 0 }, original: { line, column: 2 }, source: `template-${id}.tmpl`, name: 'renderTemplate' });
+    sourceMap.setSourceContent(`template-${id}.tmpl`, Array.from({ length: line }, (_, i) => `template line ${i + 1}`).join('\n'));
+    return sourceMap.toJSON();
+  }
+
+  function runGenerated(filename, code) {
+    try {
+      vm.runInThisContext(code, { filename, displayErrors: false });
+    } catch (e) {
+      return e;
+    }
+  }
+
+  it('maps a range of lines of code which exists only in memory', function() {
+    const filename = path.resolve(`compiled-${id}.js`);
+    const code = [
+      '// prelude',
+      '(function render() {',
+      '  throw new Error("test");',
+      '})();'
+    ].join('\n');
+    underTest.registerSourceMap(filename, createTemplateMap(3), { contents: code.split('\n').slice(2).join('\n'), lineOffset: 2 });
+    let error;
+    try {
+      error = runGenerated(filename, code);
+      compareLines(error.stack.split('\n'), [
+        'Error: test',
+        re`^    at render \((?:.*[/\\])?template-${id}\.tmpl:3:3\)$`,
+        re`^    at (?:.*[/\\])?compiled-${id}\.js:4:3$`
+      ]);
+      // The original source comes from the map's sourcesContent, and the
+      // generated code from the registered contents
+      assert.match(underTest.getErrorSource(error), re`template-${id}\.tmpl:3\ntemplate line 3\n  \^$`);
+      assert.match(underTest.getErrorSource(error, { frame: 1 }), re`compiled-${id}\.js:4\n}\)\(\);\n  \^$`);
+    } finally {
+      underTest.unregisterSourceMap(filename);
+    }
+    // The sourcesContent is no longer served once unregistered
+    assert.strictEqual(underTest.getErrorSource(error), null);
+    compareLines(runGenerated(filename, code).stack.split('\n'), [
+      'Error: test',
+      re`^    at render \((?:.*[/\\])?compiled-${id}\.js:3:9\)$`
+    ]);
+  });
+
+  it('replaces overlapping registrations and unregisters by line', function() {
+    const filename = `repl-${id}.js`;
+    underTest.registerSourceMap(filename, createTemplateMap(1));
+    underTest.registerSourceMap(filename, createTemplateMap(2), { lineOffset: 1 });
+    underTest.registerSourceMap(filename, JSON.stringify(createTemplateMap(3)));
+    assert.strictEqual(underTest.mapSourcePosition({ source: filename, line: 1, column: 0 }).line, 3);
+    assert.strictEqual(underTest.mapSourcePosition({ source: filename, line: 2, column: 0 }).line, 2);
+    assert.strictEqual(underTest.unregisterSourceMap(filename, { lineOffset: 1 }), true);
+    assert.strictEqual(underTest.mapSourcePosition({ source: filename, line: 2, column: 0 }).source, filename);
+    assert.strictEqual(underTest.unregisterSourceMap(filename), true);
+    assert.strictEqual(underTest.unregisterSourceMap(filename), false);
+    assert.strictEqual(underTest.mapSourcePosition({ source: filename, line: 1, column: 0 }).source, filename);
+  });
+});
+
+describe('diagnostics', function() {
+  const {createEmptySourceMap} = sourceMapCreators();
+
+  before(installSmsOnce);
+  afterEach(function() {
+    underTest.install({ debug: false });
+  });
+
+  function writeGenerated(comment, map) {
+    fs.writeFileSync(`.generated-${id}.js`, `throw new Error("test");\n${comment}`);
+    if (map !== undefined) fs.writeFileSync(`.generated-${id}.js.map`, map);
+    return path.resolve(`.generated-${id}.js`);
+  }
+
+  // The first handler consulted reuses the maps parsed by node, and the last
+  // looks up debug IDs, when each is enabled
+  function eventTypes(explanation) {
+    return explanation.events.map(event => event.type + ('found' in event ? ':' + event.found : ''));
+  }
+
+  it('explain reports why a position was not mapped', function() {
+    let explanation = underTest.explain(path.resolve(`.generated-${id}.js`), 1, 1);
+    assert.deepStrictEqual(eventTypes(explanation), ['retrieveSourceMap:false', 'readGenerated:false', 'sourceMappingURL', 'retrieveSourceMap:false', 'retrieveSourceMap:false']);
+    assert.strictEqual(explanation.original, null);
+
+    let generated = writeGenerated('');
+    explanation = underTest.explain(generated, 1, 1);
+    assert.deepStrictEqual(eventTypes(explanation), ['retrieveSourceMap:false', 'readGenerated:true', 'sourceMappingURL', 'retrieveSourceMap:false', 'retrieveSourceMap:false']);
+    assert.strictEqual(explanation.events[2].url, null);
+
+    generated = writeGenerated(`//# sourceMappingURL=.generated-${id}.js.map`);
+    explanation = underTest.explain(generated, 1, 1);
+    assert.deepStrictEqual(eventTypes(explanation), ['retrieveSourceMap:false', 'readGenerated:true', 'sourceMappingURL', 'readSourceMap:false', 'retrieveSourceMap:false', 'retrieveSourceMap:false']);
+    assert.strictEqual(explanation.events[3].url, `${generated}.map`);
+
+    writeGenerated(`//# sourceMappingURL=.generated-${id}.js.map`, '{ not json');
+    explanation = underTest.explain(generated, 1, 1);
+    assert.deepStrictEqual(eventTypes(explanation), ['retrieveSourceMap:false', 'readGenerated:true', 'sourceMappingURL', 'readSourceMap:true', 'retrieveSourceMap:true', 'error']);
+    assert.strictEqual(explanation.original, null);
+  });
+
+  it('explain reports the outcome of the lookup', function() {
+    const sourceMap = createEmptySourceMap();
+    sourceMap.addMapping({ generated: { line: 1, column: 6 }, original: { line: 10, column: 4 }, source: `.original-${id}.js`, name: 'error' });
+    const generated = writeGenerated(`//# sourceMappingURL=.generated-${id}.js.map`, sourceMap.toString());
+    let explanation = underTest.explain(generated, 1, 7);
+    assert.deepStrictEqual(eventTypes(explanation), ['retrieveSourceMap:false', 'readGenerated:true', 'sourceMappingURL', 'readSourceMap:true', 'retrieveSourceMap:true', 'lookup']);
+    assert.strictEqual(explanation.original.line, 10);
+    assert.strictEqual(explanation.original.column, 5);
+    assert.strictEqual(explanation.original.name, 'error');
+    assert.deepStrictEqual(explanation.events[5].original, explanation.original);
+
+    explanation = underTest.explain(generated, 1, 1);
+    assert.strictEqual(explanation.original, null);
+    assert.strictEqual(explanation.events[5].original, null);
+  });
+
+  it('explain leaves the contents captured by hookRequire in the cache', function(done) {
+    const sourceMap = createEmptySourceMap();
+    sourceMap.addMapping({ generated: { line: 1, column: 0 }, original: { line: 5, column: 0 }, source: `.original2-${id}.js` });
+    fs.writeFileSync(`.generated2-${id}.js`, 'exports.test = function() { throw new Error("test"); };\n' +
+      '//# sourceMappingURL=data:application/json;base64,' + bufferFrom(sourceMap.toString()).toString('base64'));
+    compareStdout(done, createEmptySourceMap(), [
+      'const sms = require("./source-map-support");',
+      'sms.install({ hookRequire: true });',
+      `const modulePath = require("path").resolve(".generated2-${id}.js");`,
+      'const test = require(modulePath).test;',
+      // Only the copy captured when the module was loaded has the map
+      'require("fs").writeFileSync(modulePath, "exports.test = null;");',
+      'console.log(sms.explain(modulePath, 1, 1).original.line);',
+      'try { test(); } catch (e) { console.log(e.stack.split("\\n")[1]); }'
+    ], [
+      '5',
+      re`^    at .*\((?:.*[/\\])?\.original2-${id}\.js:5:\d+\)$`
+    ]);
+  });
+
+  it('records events and summarizes hook owners in debug mode', function() {
+    const generated = writeGenerated('');
+    const received = [];
+    underTest.install({ debug: event => received.push(event) });
+    underTest.mapSourcePosition({ source: generated, line: 1, column: 0 });
+    const diagnostics = underTest.getDiagnostics();
+    assert.strictEqual(diagnostics.debug, true);
+    assert.deepStrictEqual(diagnostics.files[pathToFileURL(generated).toString()], received);
+    assert.strictEqual(received.length >= 3, true);
+    assert.deepStrictEqual(diagnostics.hooks.prepareStackTrace, {
+      owner: { version: require('./package.json').version, path: path.resolve('source-map-support.js') },
+      enabled: true,
+      replaced: false
+    });
+  });
+
+  it('SOURCE_MAP_SUPPORT_DEBUG enables debug mode', function() {
+    const output = child_process.execFileSync(process.execPath, [
+      '-e', 'console.log(require("./source-map-support").getDiagnostics().debug)'
+    ], { env: Object.assign({}, process.env, { SOURCE_MAP_SUPPORT_DEBUG: '1' }), encoding: 'utf8' });
+    assert.strictEqual(output.trim(), 'true');
+  });
+});
+
+describe('nodeSourceMaps', function() {
+  const {createEmptySourceMap} = sourceMapCreators();
+
+  beforeEach(function() {
+    // process.sourceMapsEnabled reflects process.setSourceMapsEnabled()
+    if (typeof process.sourceMapsEnabled !== 'boolean') return this.skip();
+    // Node prepends sourceRoot without a separator, so leave it out
+    const sourceMap = new SourceMapGenerator({ file: `.generated2-${id}.js` });
+    sourceMap.addMapping({ generated: { line: 1, column: 0 }, original: { line: 1, column: 0 }, source: `.original2-${id}.js` });
+    fs.writeFileSync(`.generated2-${id}.js.map`, sourceMap.toString());
+    fs.writeFileSync(`.generated2-${id}.js`, [
+      'exports.test = function test() { throw new Error("this is the error"); }',
+      `//# sourceMappingURL=.generated2-${id}.js.map`
+    ].join('\n'));
+  });
+
+  // Node parses the map when the module is loaded; mapping must not read it again
+  function throwWithNodeSourceMaps(mode) {
+    return [
+      'process.setSourceMapsEnabled(true);',
+      `require("./source-map-support").install({ nodeSourceMaps: ${JSON.stringify(mode)} });`,
+      `var generated2 = require("./.generated2-${id}.js");`,
+      'require("fs").readFileSync = function() { throw new Error("no rfs for you"); };',
+      'try { generated2.test(); } catch(e) { console.log(e.stack.split("\\n").slice(0, 2).join("\\n")); }',
+      'console.log(!!require("./source-map-support").getDiagnostics().hooks.prepareStackTrace);'
+    ];
+  }
+
+  it('reuses the source maps parsed by node', function(done) {
+    compareStdout(done, createEmptySourceMap(), throwWithNodeSourceMaps('reuse'), [
+      'Error: this is the error',
+      re`^    at Object\.test \((?:.*[/\\])?\.original2-${id}\.js:1:1\)$`,
+      'true'
+    ]);
+  });
+
+  it('defers to node', function(done) {
+    compareStdout(done, createEmptySourceMap(), throwWithNodeSourceMaps('defer'), [
+      'Error: this is the error',
+      re`^    at Object\.test \((?:.*[/\\])?\.original2-${id}\.js:1:1\)$`,
+      'false'
+    ]);
+  });
+
+  it('ignores the source maps parsed by node', function(done) {
+    compareStdout(done, createEmptySourceMap(), throwWithNodeSourceMaps('ignore'), [
+      'Error: this is the error',
+      re`^    at Object\.test \((?:.*[/\\])?\.generated2-${id}\.js:1:\d+\)$`,
+      'true'
+    ]);
+  });
+});
+
+describe('hookWorkers', function() {
+  const {createEmptySourceMap} = sourceMapCreators();
+
+  beforeEach(function() {
+    if (semver.lt(process.versions.node, '12.0.0')) return this.skip();
+    const sourceMap = createEmptySourceMap();
+    sourceMap.addMapping({ generated: { line: 1, column: 0 }, original: { line: 1, column: 0 }, source: `.original2-${id}.js` });
+    fs.writeFileSync(`.generated2-${id}.js.map`, sourceMap.toString());
+    // Tells whether source map support was preloaded in the worker
+    fs.writeFileSync(`.generated2-${id}.js`, [
+      'throw new Error("installed " + !!require("./source-map-support").getDiagnostics().hooks.prepareStackTrace);',
+      `//# sourceMappingURL=.generated2-${id}.js.map`
+    ].join('\n'));
+  });
+
+  function startWorker(install, remap) {
+    return [
+      `var sms = require("./source-map-support"); sms.install(${install});`,
+      'var worker_threads = require("worker_threads");',
+      `new worker_threads.Worker(require.resolve("./.generated2-${id}.js")).on("error", function(error) {`,
+      `  console.log(${remap ? 'sms.remapWorkerError(error)' : 'error'}.stack.split("\\n").slice(0, 2).join("\\n"));`,
+      '});'
+    ];
+  }
+
+  it('preloads source map support in workers', function(done) {
+    compareStdout(done, createEmptySourceMap(), startWorker('{ hookWorkers: true }', false), [
+      'Error: installed true',
+      re`^    at .*\(?(?:.*[/\\])?\.original2-${id}\.js:1:1\)?$`
+    ]);
+  });
+
+  it('preloads source map support in workers despite inherited V8 flags', function(done) {
+    compareStdout(done, createEmptySourceMap(), [
+      'process.execArgv.push("--max-old-space-size=1000");',
+      ...startWorker('{ hookWorkers: true }', false)
+    ], [
+      'Error: installed true',
+      re`^    at .*\(?(?:.*[/\\])?\.original2-${id}\.js:1:1\)?$`
+    ]);
+  });
+
+  it('does not remap stacks mapped in preloaded workers', function(done) {
+    // The original source has a source map of its own, which would map the
+    // frame again
+    const sourceMap = createEmptySourceMap();
+    sourceMap.addMapping({ generated: { line: 1, column: 0 }, original: { line: 7, column: 0 }, source: `.original-${id}.js` });
+    fs.writeFileSync(`.original2-${id}.js.map`, sourceMap.toString());
+    fs.writeFileSync(`.original2-${id}.js`, `original();\n//# sourceMappingURL=.original2-${id}.js.map`);
+    compareStdout(done, createEmptySourceMap(), startWorker('{ hookWorkers: true }', false), [
+      'Error: installed true',
+      re`^    at .*\(?(?:.*[/\\])?\.original2-${id}\.js:1:1\)?$`
+    ]);
+  });
+
+  it('remapWorkerError remaps stacks formatted in workers', function(done) {
+    compareStdout(done, createEmptySourceMap(), startWorker('', true), [
+      'Error: installed false',
+      re`^    at .*\(?(?:.*[/\\])?\.original2-${id}\.js:1:1\)?$`
+    ]);
+  });
+});
+
+describe('hookChildProcesses', function() {
+  const {createEmptySourceMap} = sourceMapCreators();
+
+  beforeEach(function() {
+    const sourceMap = createEmptySourceMap();
+    sourceMap.addMapping({ generated: { line: 1, column: 0 }, original: { line: 1, column: 0 }, source: `.original2-${id}.js` });
+    fs.writeFileSync(`.generated2-${id}.js.map`, sourceMap.toString());
+    // Tells whether source map support was preloaded in the child process
+    fs.writeFileSync(`.generated2-${id}.js`, [
+      'console.log(new Error("installed " + !!require("./source-map-support").getDiagnostics().hooks.prepareStackTrace).stack.split("\\n").slice(0, 2).join("\\n"));',
+      `//# sourceMappingURL=.generated2-${id}.js.map`
+    ].join('\n'));
+  });
+
+  it('preloads source map support in child processes', function(done) {
+    compareStdout(done, createEmptySourceMap(), [
+      'process.env.NODE_OPTIONS = "--no-deprecation";',
+      'require("./source-map-support").install({ hookChildProcesses: true });',
+      'console.log(process.env.NODE_OPTIONS.replace(__dirname, "<dir>"));',
+      `process.stdout.write(require("child_process").execFileSync(process.execPath, [require.resolve("./.generated2-${id}.js")]));`
+    ], [
+      re`^--no-deprecation --require <dir>[/\\]register\.js$`,
+      'Error: installed true',
+      re`^    at .*\(?(?:.*[/\\])?\.original2-${id}\.js:1:1\)?$`
+    ]);
+  });
+
+  it('does not add the entry point twice, and uninstall removes it', function(done) {
+    compareStdout(done, createEmptySourceMap(), [
+      'var sms = require("./source-map-support");',
+      'process.env.NODE_OPTIONS = "-r ./register-hook-require";',
+      'sms.install({ hookChildProcesses: true, hookRequire: true });',
+      'console.log(process.env.NODE_OPTIONS);',
+      'sms.uninstall();',
+      'delete process.env.NODE_OPTIONS;',
+      'sms.install({ hookChildProcesses: true });',
+      'process.env.NODE_OPTIONS += " --no-deprecation";',
+      'sms.uninstall();',
+      'console.log(process.env.NODE_OPTIONS);',
+      'sms.install({ hookChildProcesses: true });',
+      'sms.uninstall();',
+      'console.log(process.env.NODE_OPTIONS);'
+    ], [
+      '-r ./register-hook-require',
+      '--no-deprecation',
+      '--no-deprecation'
+    ]);
+  });
+
+  it('adds the entry point when NODE_OPTIONS requires another copy of source-map-support', function(done) {
+    compareStdout(done, createEmptySourceMap(), [
+      'process.env.NODE_OPTIONS = "-r source-map-support/register";',
+      'require("./source-map-support").install({ hookChildProcesses: true });',
+      'console.log(process.env.NODE_OPTIONS.replace(__dirname, "<dir>"));'
+    ], [
+      re`^-r source-map-support/register --require <dir>[/\\]register\.js$`
+    ]);
+  });
+});
+
+describe('prefetchSourceMaps', function() {
+  const {createEmptySourceMap} = sourceMapCreators();
+
+  function writeGenerated2() {
+    const sourceMap = createEmptySourceMap();
+    sourceMap.addMapping({
+      generated: { line: 1, column: 0 },
+      original: { line: 1, column: 0 },
+      source: `.original2-${id}.js`
+    });
+    fs.writeFileSync(`.generated2-${id}.js.map`, sourceMap.toString());
+    fs.writeFileSync(`.generated2-${id}.js`, [
+      'exports.test = function test() { throw new Error("this is the error"); }',
+      `//# sourceMappingURL=.generated2-${id}.js.map`
+    ].join('\n'));
+  }
+  // Once prefetched, mapping must not need synchronous reads
+  const throwUsingOnlyCaches = [
+    '  require("fs").readFileSync = function() { throw new Error("no rfs for you"); };',
+    '  try { generated2.test(); } catch(e) { console.log(e.stack.split("\\n").slice(0, 2).join("\\n")); }',
+  ];
+
+  it('prefetchSourceMaps', function(done) {
+    writeGenerated2();
+    compareStdout(done, createEmptySourceMap(), [
+      'var sms = require("./source-map-support");',
+      'sms.install();',
+      `var generated2 = require("./.generated2-${id}.js");`,
+      `sms.prefetchSourceMaps([require.resolve("./.generated2-${id}.js")]).then(function() {`,
+      ...throwUsingOnlyCaches,
+      '});'
+    ], [
+      'Error: this is the error',
+      re`^    at Object\.test \((?:.*[/\\])?\.original2-${id}\.js:1:1\)$`
+    ]);
+  });
+
+  it('warmCache', function(done) {
+    writeGenerated2();
+    compareStdout(done, createEmptySourceMap(), [
+      'var sms = require("./source-map-support");',
+      'sms.install();',
+      `var generated2 = require("./.generated2-${id}.js");`,
+      'sms.warmCache().then(function() {',
+      ...throwUsingOnlyCaches,
+      '});'
+    ], [
+      'Error: this is the error',
+      re`^    at Object\.test \((?:.*[/\\])?\.original2-${id}\.js:1:1\)$`
+    ]);
+  });
+
+  it('mapping falls back to synchronous reads without prefetch', function(done) {
+    writeGenerated2();
+    compareStdout(done, createEmptySourceMap(), [
+      'var sms = require("./source-map-support");',
+      'sms.install();',
+      `var generated2 = require("./.generated2-${id}.js");`,
+      'try { generated2.test(); } catch(e) { console.log(e.stack.split("\\n").slice(0, 2).join("\\n")); }'
+    ], [
+      'Error: this is the error',
+      re`^    at Object\.test \((?:.*[/\\])?\.original2-${id}\.js:1:1\)$`
+    ]);
+  });
+
+  it('frames are left unmapped without prefetch when synchronous reads fail', function(done) {
+    writeGenerated2();
+    compareStdout(done, createEmptySourceMap(), [
+      'var sms = require("./source-map-support");',
+      'sms.install();',
+      `var generated2 = require("./.generated2-${id}.js");`,
+      'Promise.resolve().then(function() {',
+      ...throwUsingOnlyCaches,
+      '});'
+    ], [
+      'Error: this is the error',
+      re`^    at Object\.test \((?:.*[/\\])?\.generated2-${id}\.js:1:40\)$`
+    ]);
+  });
+});
+
+describe('hookEsmLoader', function() {
+  const {createSingleLineSourceMap} = sourceMapCreators();
+
+  beforeEach(function() {
+    extension = 'mjs';
+  });
+
+  it('maps sources transformed in memory by other ESM loaders, including query strings', function(done) {
+    if (typeof Module.register !== 'function') return this.skip();
+    const inlineMap = bufferFrom(createSingleLineSourceMap().toString()).toString('base64');
+    const transformedSource = [
+      'function foo() { throw new Error("this is the error"); }',
+      'foo();',
+      `//# sourceMappingURL=data:application/json;base64,${inlineMap}`
+    ].join('\n');
+    const loaderSource = [
+      'export async function load(url, context, nextLoad) {',
+      `  if (url.includes(".generated2-${id}.mjs")) {`,
+      `    return { format: "module", shortCircuit: true, source: ${JSON.stringify(transformedSource)} };`,
+      '  }',
+      '  return nextLoad(url, context);',
+      '}'
+    ].join('\n');
+    fs.writeFileSync(`.generated2-${id}.mjs`, 'throw new Error("this code is replaced by the loader");');
+    compareStdout(done, createSingleLineSourceMap(), [
+      `require("module").register(${JSON.stringify('data:text/javascript,' + encodeURIComponent(loaderSource))});`,
+      'require("./source-map-support").install({ hookEsmLoader: true });',
+      `await import("./.generated2-${id}.mjs?v=1");`
+    ], [
+      re`^file:/(?:.*[/\\])?\.original-${id}\.js:1$`,
+      'this is the original code',
+      '^',
+      'Error: this is the error',
+      re`^    at foo \(file:/(?:.*[/\\])?\.original-${id}\.js:1:1\)$`
+    ]);
+  });
+});
+
+describe('hookWebAssembly', function() {
+  const {createEmptySourceMap} = sourceMapCreators();
+
+  /** Append a wasm custom section to the fixture module */
+  function createWasmWithCustomSection(name, payload, module = fs.readFileSync('test-fixtures/wasm/wasm.wasm')) {
+    const leb = n => { const bytes = []; do { let b = n & 0x7f; n >>>= 7; if (n) b |= 0x80; bytes.push(b); } while (n); return Buffer.from(bytes); };
+    const string = s => Buffer.concat([leb(Buffer.byteLength(s)), Buffer.from(s)]);
+    const body = Buffer.concat([string(name), string(payload)]);
+    return Buffer.concat([module, Buffer.from([0]), leb(body.length), body]);
+  }
+  function createWasmSourceMap() {
+    const sourceMap = createEmptySourceMap();
+    sourceMap.addMapping({
+      // Byte offset of the `call` instruction in the fixture
+      generated: { line: 1, column: 0x3b },
+      original: { line: 5, column: 2 },
+      source: `.original2-${id}.js`
+    });
+    return sourceMap;
+  }
+  function compareWasmFrame(done, script, expected) {
+    fs.writeFileSync(`.original2-${id}.js`, 'this is some other original code');
+    compareStdout(done, createEmptySourceMap(), [
+      'function fn() {',
+      '  console.log(new Error("this is the error").stack.split("\\n")[2]);',
+      '}',
+      ...script
+    ], [expected]);
+  }
+
+  it('maps wasm frames using the sourceMappingURL custom section', function(done) {
+    if (semver.lt(process.versions.node, '16.0.0')) return this.skip();
+    fs.writeFileSync(`.generated2-${id}.wasm`, createWasmWithCustomSection('sourceMappingURL', `.generated2-${id}.wasm.map`));
+    fs.writeFileSync(`.generated2-${id}.wasm.map`, createWasmSourceMap().toString());
+    compareWasmFrame(done, [
+      'require("./source-map-support").install({ hookWebAssembly: true });',
+      `var bytes = require("fs").readFileSync(".generated2-${id}.wasm");`,
+      'WebAssembly.instantiate(bytes, { jsapi: { fn } }).then(function(r) { r.instance.exports.call_js_function(); });'
+    ], re`^at file:/(?:.*[/\\])?\.original2-${id}\.js:5:3$`);
+  });
+
+  it('maps wasm frames using the external_debug_info custom section', function(done) {
+    if (semver.lt(process.versions.node, '16.0.0')) return this.skip();
+    fs.writeFileSync(`.generated2-${id}.wasm`, createWasmWithCustomSection('external_debug_info', `.generated-${id}.wasm`));
+    fs.writeFileSync(`.generated-${id}.wasm`, createWasmWithCustomSection('sourceMappingURL', `.generated2-${id}.wasm.map`));
+    fs.writeFileSync(`.generated2-${id}.wasm.map`, createWasmSourceMap().toString());
+    compareWasmFrame(done, [
+      'require("./source-map-support").install({ hookWebAssembly: true });',
+      `var bytes = require("fs").readFileSync(".generated2-${id}.wasm");`,
+      'new WebAssembly.Instance(new WebAssembly.Module(bytes), { jsapi: { fn } }).exports.call_js_function();'
+    ], re`^at file:/(?:.*[/\\])?\.original2-${id}\.js:5:3$`);
+  });
+
+  it('leaves wasm frames alone without hookWebAssembly', function(done) {
+    if (semver.lt(process.versions.node, '16.0.0')) return this.skip();
+    fs.writeFileSync(`.generated2-${id}.wasm`, createWasmWithCustomSection('sourceMappingURL', `.generated2-${id}.wasm.map`));
+    fs.writeFileSync(`.generated2-${id}.wasm.map`, createWasmSourceMap().toString());
+    compareWasmFrame(done, [
+      'require("./source-map-support").install();',
+      `var bytes = require("fs").readFileSync(".generated2-${id}.wasm");`,
+      'WebAssembly.instantiate(bytes, { jsapi: { fn } }).then(function(r) { r.instance.exports.call_js_function(); });'
+    ], /^at wasm:\/\/wasm\/[0-9a-f]{8}:wasm-function\[1\]:0x3b$/);
+  });
+
+  it('leaves frames alone when modules of the same size share a hash', function(done) {
+    if (semver.lt(process.versions.node, '16.0.0')) return this.skip();
+    // Modules over 16 KiB are hashed by their size alone
+    const createLargeWasm = url => createWasmWithCustomSection('padding', 'x'.repeat(20000),
+      createWasmWithCustomSection('sourceMappingURL', url));
+    fs.writeFileSync(`.generated2-${id}.wasm`, createLargeWasm(`./.generated2-${id}.wasm.map`));
+    fs.writeFileSync(`.generated-${id}.wasm`, createLargeWasm(`x/.generated2-${id}.wasm.map`));
+    fs.writeFileSync(`.generated2-${id}.wasm.map`, createWasmSourceMap().toString());
+    compareWasmFrame(done, [
+      'require("./source-map-support").install({ hookWebAssembly: true });',
+      `new WebAssembly.Module(require("fs").readFileSync(".generated-${id}.wasm"));`,
+      `var bytes = require("fs").readFileSync(".generated2-${id}.wasm");`,
+      'new WebAssembly.Instance(new WebAssembly.Module(bytes), { jsapi: { fn } }).exports.call_js_function();'
+    ], /^at wasm:\/\/wasm\/[0-9a-f]{8}:wasm-function\[1\]:0x3b$/);
+  });
+});
+
 describe('uninstall', function() {
   const sourceMapConstructors = sourceMapCreators();
   const {normalThrow, normalThrowWithoutSourceMapSupportInstalled} = getTestMacros(sourceMapConstructors);
@@ -1097,6 +2695,39 @@ describe('uninstall', function() {
     Module._resolveFilename('repl');
     assert(peInvocations >= 1);
   });
+
+  it('uninstall removes window error listeners', function() {
+    if (typeof EventTarget === 'undefined' || typeof Event === 'undefined') return this.skip();
+    const sourceMap = sourceMapConstructors.createEmptySourceMap();
+    sourceMap.addMapping({ generated: { line: 1, column: 0 }, original: { line: 10, column: 4 }, source: `.original-${id}.js` });
+    fs.writeFileSync(`.generated-${id}.js.map`, sourceMap.toString());
+    fs.writeFileSync(`.generated-${id}.js`, `throw new Error("test");\n//# sourceMappingURL=.generated-${id}.js.map`);
+    const error = new Error('test');
+    error.stack = `@${path.resolve(`.generated-${id}.js`)}:1:7\n`;
+    const reported = [];
+    global.window = new EventTarget();
+    try {
+      underTest.install({
+        reportWindowErrors: (stack, e) => reported.push([stack, e])
+      });
+      const errorEvent = new Event('error');
+      errorEvent.error = error;
+      window.dispatchEvent(errorEvent);
+      const rejectionEvent = new Event('unhandledrejection');
+      rejectionEvent.reason = error;
+      window.dispatchEvent(rejectionEvent);
+      assert.strictEqual(reported.length, 2);
+      assert.match(reported[0][0], re`^Error: test\n@(?:.*[/\\])?\.original-${id}\.js:10:5$`);
+      assert.strictEqual(reported[0][1], error);
+      assert.strictEqual(reported[1][0], reported[0][0]);
+
+      underTest.uninstall();
+      window.dispatchEvent(errorEvent);
+      assert.strictEqual(reported.length, 2);
+    } finally {
+      delete global.window;
+    }
+  });
 });
 // Without this, the code under test sees stuff in the test cases above and tries to load source-maps
 // This causes confusing red herrings while debugging.